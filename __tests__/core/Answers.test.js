@@ -0,0 +1,55 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs-extra';
+import path from 'path';
+import { readAnswersFile, applySetValues, parseSetValue } from '../../lib/core/Answers.js';
+
+describe('Answers', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.resolve('./test-answers-' + Date.now());
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.remove(testDir);
+    } catch (error) {
+      console.warn('清理测试目录失败:', error);
+    }
+  });
+
+  test('应该读取 JSON 和 YAML 答案文件', async () => {
+    await fs.writeJson(path.join(testDir, 'answers.json'), { useMock: true });
+    await fs.outputFile(path.join(testDir, 'answers.yml'), 'features:\n  router: true\n');
+    await fs.outputFile(path.join(testDir, 'list.yml'), '- a\n');
+
+    expect(await readAnswersFile(path.join(testDir, 'answers.json'))).toEqual({ useMock: true });
+    expect(await readAnswersFile(path.join(testDir, 'answers.yml'))).toEqual({ features: { router: true } });
+    await expect(readAnswersFile(path.join(testDir, 'list.yml'))).rejects.toMatchObject({ code: 'ANSWERS_FILE_ERROR' });
+    await expect(readAnswersFile(path.join(testDir, 'missing.json'))).rejects.toMatchObject({
+      code: 'ANSWERS_FILE_ERROR',
+    });
+  });
+
+  test('--set 应该支持路径和 JSON 值', () => {
+    const base = { features: { router: false, i18n: true }, port: 3000 };
+    const result = applySetValues(base, ['features.router=true', 'port=8080', 'tags=["a","b"]', 'name=a=b']);
+
+    expect(result).toEqual({ features: { router: true, i18n: true }, port: 8080, tags: ['a', 'b'], name: 'a=b' });
+    expect(base.features.router).toBe(false);
+    expect(() => applySetValues({}, ['router'])).toThrow('无效的 --set 参数');
+    expect(() => applySetValues({}, ['a..b=1'])).toThrow('无效的 --set 参数');
+    expect(() => applySetValues({}, ['__proto__.polluted=1'])).toThrow('不能使用保留的键名');
+    expect(() => applySetValues({}, ['a.constructor.prototype.polluted=1'])).toThrow('不能使用保留的键名');
+    expect({}.polluted).toBeUndefined();
+  });
+
+  test('无法原样转换的数字应该保持字符串', () => {
+    expect(parseSetValue('1.0')).toBe('1.0');
+    expect(parseSetValue('007')).toBe('007');
+    expect(parseSetValue('42')).toBe(42);
+    expect(parseSetValue('null')).toBeNull();
+    expect(parseSetValue('hello')).toBe('hello');
+  });
+});
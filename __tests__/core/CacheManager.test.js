@@ -2,6 +2,9 @@ import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
 import fs from 'fs-extra';
 import path from 'path';
 import CacheManager from '../../lib/cache/CacheManager.js';
+import lockUtils from '../../lib/utils/lock.js';
+import fileUtils from '../../lib/utils/file.js';
+import gitUtils from '../../lib/utils/git.js';
 
 describe('CacheManager', () => {
   let cacheManager;
@@ -21,6 +24,8 @@ describe('CacheManager', () => {
       },
     };
     cacheManager = new CacheManager(mockConfig);
+    // 测试中不访问 GitHub API
+    cacheManager.resolveCommit = async () => null;
   });
 
   afterEach(async () => {
@@ -57,6 +62,326 @@ describe('CacheManager', () => {
     });
   });
 
+  describe('模板版本', () => {
+    test('应该解析仓库地址并固定到指定提交', () => {
+      expect(cacheManager.parseRepoSpec('user/repo')).toEqual({ repo: 'user/repo', ref: 'main', subdirectory: '' });
+      expect(cacheManager.parseRepoSpec('https://github.com/user/repo/tree/dev/packages/app')).toEqual({
+        repo: 'user/repo',
+        ref: 'dev',
+        subdirectory: 'packages/app',
+      });
+      expect(cacheManager.pinRepoUrl('user/repo#dev:packages/app', 'abc123')).toBe('user/repo#abc123:packages/app');
+      expect(cacheManager.pinRepoUrl('direct:https://example.com/t.zip', 'abc123')).toBeNull();
+    });
+
+    test('应该返回缓存模板的内容哈希', async () => {
+      const cacheKey = cacheManager.generateCacheKey('user/repo');
+      await fs.outputFile(path.join(cacheManager.getCachePath(cacheKey), 'README.md'), '# demo\n');
+      await fs.writeJson(cacheManager.getMetadataPath(cacheKey), { repoUrl: 'user/repo', cachedAt: Date.now() });
+
+      const hash = await cacheManager.getTemplateHash('user/repo');
+
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect((await cacheManager.getMetadata(cacheKey)).hash).toBe(hash);
+      expect(await cacheManager.getTemplateHash('user/other')).toBeNull();
+    });
+
+    test('下载时应该固定到分支当前的提交并记录在元数据中', async () => {
+      const commit = 'a'.repeat(40);
+      const urls = [];
+      cacheManager.resolveCommit = async () => commit;
+      cacheManager.downloadGitRepo = async (url, dest) => {
+        urls.push(url);
+        await fs.outputFile(path.join(dest, 'README.md'), '# demo\n');
+      };
+
+      await cacheManager.downloadAndCache('user/repo#dev');
+
+      expect(urls).toEqual([`direct:https://github.com/user/repo/archive/${commit}.zip`]);
+      expect(await cacheManager.getTemplateCommit('user/repo#dev')).toBe(commit);
+      expect(await cacheManager.getTemplateCommit('user/other')).toBeNull();
+    });
+  });
+
+  describe('查询提交', () => {
+    const commit = 'c'.repeat(40);
+    let originalFetch;
+    let originalGetRemoteCommit;
+    let originalToken;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+      originalGetRemoteCommit = gitUtils.getRemoteCommit;
+      originalToken = process.env.GITHUB_TOKEN;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      gitUtils.getRemoteCommit = originalGetRemoteCommit;
+      if (originalToken === undefined) {
+        delete process.env.GITHUB_TOKEN;
+      } else {
+        process.env.GITHUB_TOKEN = originalToken;
+      }
+    });
+
+    test('应该优先使用 git ls-remote 查询', async () => {
+      const calls = [];
+      gitUtils.getRemoteCommit = async (url, ref, options) => {
+        calls.push({ url, ref, options });
+        return commit;
+      };
+      global.fetch = async () => {
+        throw new Error('不应该调用 GitHub API');
+      };
+
+      expect(await CacheManager.prototype.resolveCommit.call(cacheManager, 'user/repo#dev')).toBe(commit);
+      expect(calls).toEqual([{ url: 'https://github.com/user/repo.git', ref: 'dev', options: { timeout: 5000 } }]);
+    });
+
+    test('git ls-remote 查询不到时应该使用带令牌和超时的 GitHub API', async () => {
+      const requests = [];
+      gitUtils.getRemoteCommit = async () => null;
+      global.fetch = async (url, options) => {
+        requests.push({ url, options });
+        return { ok: true, text: async () => `${commit}\n` };
+      };
+      process.env.GITHUB_TOKEN = 'secret';
+
+      expect(await CacheManager.prototype.resolveCommit.call(cacheManager, 'user/repo#abc1234')).toBe(commit);
+      expect(requests[0].url).toBe('https://api.github.com/repos/user/repo/commits/abc1234');
+      expect(requests[0].options.headers.Authorization).toBe('Bearer secret');
+      expect(requests[0].options.signal).toBeInstanceOf(AbortSignal);
+    });
+  });
+
+  describe('缓存管理', () => {
+    test('应该列出缓存项并按模板查找', async () => {
+      const write = async (repoUrl, cachedAt) => {
+        const cacheKey = cacheManager.generateCacheKey(repoUrl);
+        await fs.outputFile(path.join(cacheManager.getCachePath(cacheKey), 'src/main.js'), 'x'.repeat(100));
+        await fs.writeJson(cacheManager.getMetadataPath(cacheKey), { repoUrl, cachedAt, cacheKey });
+        return cacheKey;
+      };
+      await write('user/repo#main:packages/app', Date.now());
+      const pinned = await write('user/repo#abc123:packages/app', Date.now() - 2 * 86400000);
+      await write('user/repo#main:packages/other', Date.now());
+      await fs.ensureDir(cacheManager.getCachePath('0'.repeat(32)));
+
+      const items = await cacheManager.listCacheItems();
+      const broken = items.find((item) => item.cacheKey === '0'.repeat(32));
+
+      expect(items).toHaveLength(4);
+      expect(items[0].size).toBe(100);
+      expect(items.find((item) => item.cacheKey === pinned).expired).toBe(true);
+      expect(broken).toMatchObject({ repoUrl: null, broken: true });
+      expect((await cacheManager.findCacheItems('https://github.com/user/repo/tree/dev/packages/app')).length).toBe(2);
+      expect((await cacheManager.findCacheItems(pinned)).map((item) => item.cacheKey)).toEqual([pinned]);
+    });
+  });
+
+  describe('缓存大小', () => {
+    const write = async (manager, repoUrl, lastUsedAt) => {
+      const cacheKey = manager.generateCacheKey(repoUrl);
+      await fs.outputFile(path.join(manager.getCachePath(cacheKey), 'a/b/c.txt'), 'x'.repeat(100));
+      await fs.writeJson(manager.getMetadataPath(cacheKey), { repoUrl, cachedAt: Date.now(), lastUsedAt, cacheKey });
+      return cacheKey;
+    };
+
+    test('应该递归统计缓存大小并在使用时记录时间', async () => {
+      const cacheKey = await write(cacheManager, 'user/repo', 1);
+
+      expect(await cacheManager.getCacheStats()).toMatchObject({ totalItems: 1, totalSize: 100, expiredItems: 0 });
+      expect(await cacheManager.getCachedTemplate('user/repo')).toBe(cacheManager.getCachePath(cacheKey));
+      expect((await cacheManager.getMetadata(cacheKey)).lastUsedAt).toBeGreaterThan(1);
+    });
+
+    test('超过缓存上限时应该移除最久未使用的模板', async () => {
+      const manager = new CacheManager({
+        get: (key, defaultValue) => ({ 'templates.cacheMaxSize': '0.2KB' })[key] ?? mockConfig.get(key, defaultValue),
+      });
+      const oldest = await write(manager, 'user/a', 1000);
+      const used = await write(manager, 'user/b', 3000);
+      const latest = await write(manager, 'user/c', 2000);
+
+      const evicted = await manager.evictCache(latest);
+
+      expect(manager.cacheMaxSize).toBe(205);
+      expect(evicted.map((item) => item.cacheKey)).toEqual([oldest]);
+      expect(fs.existsSync(manager.getCachePath(oldest))).toBe(false);
+      expect(fs.existsSync(manager.getCachePath(used))).toBe(true);
+      expect(fs.existsSync(manager.getCachePath(latest))).toBe(true);
+    });
+  });
+
+  describe('内容校验', () => {
+    beforeEach(() => {
+      cacheManager.downloadGitRepo = async (url, dest) => {
+        await fs.outputFile(path.join(dest, 'README.md'), '# demo\n');
+      };
+    });
+
+    test('不同地址下载的相同内容应该只保存一份', async () => {
+      const first = await cacheManager.downloadAndCache('user/a');
+      const second = await cacheManager.downloadAndCache('https://github.com/user/a');
+
+      expect(second).toBe(first);
+      expect(fs.readdirSync(path.join(testCacheDir, 'content'))).toHaveLength(1);
+      expect((await cacheManager.getCacheStats()).totalSize).toBe(7);
+
+      await cacheManager.removeCacheItem(cacheManager.generateCacheKey('user/a'));
+      expect(await cacheManager.getCachedTemplate('https://github.com/user/a')).toBe(first);
+    });
+
+    test('损坏的缓存应该被移除并重新下载', async () => {
+      const templatePath = await cacheManager.downloadAndCache('user/a');
+      await fs.outputFile(path.join(templatePath, 'README.md'), '# 被修改\n');
+
+      expect(await cacheManager.verifyCacheItem(cacheManager.generateCacheKey('user/a'))).toBe(false);
+      expect(await cacheManager.getTemplate('user/a')).toBe(templatePath);
+      expect(await fs.readFile(path.join(templatePath, 'README.md'), 'utf8')).toBe('# demo\n');
+    });
+
+    test('读取缓存时大小和修改时间未变化应该跳过哈希校验', async () => {
+      const templatePath = await cacheManager.downloadAndCache('user/a');
+      const cacheKey = cacheManager.generateCacheKey('user/a');
+      const { hashDirectory } = fileUtils;
+      let hashed = 0;
+      fileUtils.hashDirectory = async (dirPath) => {
+        hashed++;
+        return hashDirectory.call(fileUtils, dirPath);
+      };
+
+      try {
+        expect(await cacheManager.getCachedTemplate('user/a')).toBe(templatePath);
+        expect(hashed).toBe(0);
+
+        // 旧版本缓存没有记录修改时间时校验一次并记录
+        const { mtime, ...legacy } = await cacheManager.getMetadata(cacheKey);
+        await fs.writeJson(cacheManager.getMetadataPath(cacheKey), legacy);
+        expect(await cacheManager.getCachedTemplate('user/a')).toBe(templatePath);
+        expect(hashed).toBe(1);
+        expect((await cacheManager.getMetadata(cacheKey)).mtime).toBe(mtime);
+        expect(await cacheManager.getCachedTemplate('user/a')).toBe(templatePath);
+        expect(hashed).toBe(1);
+
+        // 大小不变但内容被修改
+        const readme = path.join(templatePath, 'README.md');
+        await fs.outputFile(readme, '# DEMO\n');
+        await fs.utimes(readme, new Date(), new Date(Date.now() + 1000));
+        expect(await cacheManager.getCachedTemplate('user/a')).toBeNull();
+        expect(hashed).toBe(3);
+      } finally {
+        fileUtils.hashDirectory = hashDirectory;
+      }
+    });
+
+    test('更新元数据时应该等待缓存锁并保留其他进程写入的字段', async () => {
+      await cacheManager.downloadAndCache('user/a');
+      const cacheKey = cacheManager.generateCacheKey('user/a');
+      const release = await lockUtils.acquire(path.join(testCacheDir, '.cache.lock'));
+
+      const touching = cacheManager.touchCacheItem(cacheKey);
+      await new Promise((resolve) => setTimeout(resolve, 300));
+
+      // 持有锁的进程重新下载了该模板
+      const metadata = await cacheManager.getMetadata(cacheKey);
+      await cacheManager.writeMetadata(cacheKey, { ...metadata, cachedAt: 1, hash: 'fresh' });
+      await release();
+      await touching;
+
+      const updated = await cacheManager.getMetadata(cacheKey);
+      expect(updated).toMatchObject({ cachedAt: 1, hash: 'fresh' });
+      expect(updated.lastUsedAt).toBeGreaterThan(metadata.lastUsedAt);
+      expect(fs.readdirSync(testCacheDir).filter((file) => file.endsWith('.tmp'))).toEqual([]);
+    });
+
+    test('下载失败时应该保留已有的缓存且不留下临时目录', async () => {
+      const templatePath = await cacheManager.downloadAndCache('user/a');
+      cacheManager.downloadGitRepo = async (url, dest) => {
+        await fs.outputFile(path.join(dest, 'partial.txt'), 'x');
+        throw new Error('network down');
+      };
+
+      await expect(cacheManager.downloadAndCache('user/a')).rejects.toThrow('network down');
+      expect(fs.readdirSync(testCacheDir).filter((file) => file.startsWith('.download-'))).toEqual([]);
+      expect(await cacheManager.getCachedTemplate('user/a')).toBe(templatePath);
+    });
+
+    test('清空缓存时应该保留其他进程持有的锁和正在下载的模板', async () => {
+      await cacheManager.downloadAndCache('user/a');
+      const busyPath = await cacheManager.downloadAndCache('user/b#dev');
+      const busyKey = cacheManager.generateCacheKey('user/b#dev');
+      const release = await lockUtils.acquire(cacheManager.getLockPath(busyKey));
+
+      try {
+        expect(await cacheManager.clearAllCache()).toBe(true);
+
+        expect((await cacheManager.listCacheItems()).map((item) => item.cacheKey)).toEqual([busyKey]);
+        expect(fs.existsSync(busyPath)).toBe(true);
+        expect(fs.existsSync(cacheManager.getLockPath(busyKey))).toBe(true);
+      } finally {
+        await release();
+      }
+    });
+
+    test('同时获取同一模板时应该只下载一次', async () => {
+      let downloads = 0;
+      const download = async (url, dest) => {
+        downloads++;
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        await fs.outputFile(path.join(dest, 'README.md'), '# demo\n');
+      };
+      const other = new CacheManager(mockConfig);
+      other.resolveCommit = async () => null;
+      cacheManager.downloadGitRepo = download;
+      other.downloadGitRepo = download;
+
+      const [first, second] = await Promise.all([cacheManager.getTemplate('user/a'), other.getTemplate('user/a')]);
+
+      expect(downloads).toBe(1);
+      expect(second).toBe(first);
+      expect(fs.existsSync(cacheManager.getLockPath(cacheManager.generateCacheKey('user/a')))).toBe(false);
+    });
+  });
+
+  describe('离线模式', () => {
+    let templatePath;
+
+    beforeEach(async () => {
+      cacheManager.downloadGitRepo = async (url, dest) => {
+        await fs.outputFile(path.join(dest, 'README.md'), '# demo\n');
+      };
+      templatePath = await cacheManager.downloadAndCache('user/a');
+
+      // 缓存已过期且网络不可用
+      const metadataPath = cacheManager.getMetadataPath(cacheManager.generateCacheKey('user/a'));
+      await fs.writeJson(metadataPath, { ...(await fs.readJson(metadataPath)), cachedAt: Date.now() - 3 * 86400000 });
+      cacheManager.downloadGitRepo = async () => {
+        throw new Error('getaddrinfo ENOTFOUND github.com');
+      };
+    });
+
+    test('离线模式应该使用过期的缓存且不下载', async () => {
+      let downloaded = false;
+      cacheManager.downloadGitRepo = async () => {
+        downloaded = true;
+      };
+
+      expect(await cacheManager.getTemplate('user/a', { offline: true })).toBe(templatePath);
+      expect(downloaded).toBe(false);
+    });
+
+    test('离线模式下没有缓存时应该报错', async () => {
+      await expect(cacheManager.getTemplate('user/b', { offline: true })).rejects.toThrow('离线模式下没有找到模板的缓存');
+    });
+
+    test('下载失败时应该使用过期的缓存', async () => {
+      expect(await cacheManager.getTemplate('user/a')).toBe(templatePath);
+      await expect(cacheManager.getTemplate('user/b')).rejects.toThrow('ENOTFOUND');
+    });
+  });
+
   describe('getTemplate', () => {
     test('应该能够获取模板（模拟测试）', async () => {
       // 这是一个模拟测试，因为我们不想在测试中真的下载模板
@@ -0,0 +1,100 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import config from '../../lib/core/Config.js';
+
+describe('Config', () => {
+  beforeEach(() => {
+    config.config = config.mergeConfig(config.defaultConfig, {});
+    config.loaded = true;
+  });
+
+  describe('模板元数据', () => {
+    test('应该按框架、语言和编译器查找模板', () => {
+      expect(config.findTemplates({ framework: 'react', language: 'ts' })).toEqual([
+        'vite-react-ts',
+        'vite-react-swc-ts',
+      ]);
+      expect(config.findTemplates({ framework: 'react', language: 'ts', compiler: 'swc' })).toEqual([
+        'vite-react-swc-ts',
+      ]);
+      expect(config.findTemplates({ framework: 'vue', language: undefined })).toEqual(['vite-vue', 'vite-vue-ts']);
+    });
+
+    test('应该为旧配置中的内置模板补全元数据且不恢复已删除的模板', () => {
+      const { 'vite-vue': vue } = config.defaultConfig.templates.official;
+      const merged = config.mergeConfig(config.defaultConfig, {
+        templates: {
+          official: { 'vite-vue': { repo: 'me/vue', description: vue.description } },
+        },
+      });
+
+      expect(merged.templates.official).toEqual({
+        'vite-vue': { ...vue, repo: 'me/vue' },
+      });
+      expect(merged.templates.community).toEqual({});
+    });
+  });
+
+  describe('预设', () => {
+    test('应该保存并读取预设', async () => {
+      const configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'terrafe-config-'));
+      const { configDir: originalDir, configFile: originalFile } = config;
+      config.configDir = configDir;
+      config.configFile = path.join(configDir, 'config.json');
+
+      try {
+        await expect(config.savePreset('a.b', {})).rejects.toThrow('预设名称');
+        expect(await config.savePreset('web', { template: 'vite-vue-ts', addons: ['eslint'] })).toBe(true);
+
+        expect(config.getPreset('web')).toEqual({ template: 'vite-vue-ts', addons: ['eslint'] });
+        expect(config.getPreset('none')).toBeNull();
+        expect(config.getPreset('constructor')).toBeNull();
+        await expect(config.savePreset('__proto__', { polluted: true })).rejects.toThrow('无效的配置键');
+        expect(() => config.set('__proto__.polluted', true)).toThrow('无效的配置键');
+        expect({}.polluted).toBeUndefined();
+        expect((await fs.readJson(config.configFile)).presets.web.template).toBe('vite-vue-ts');
+      } finally {
+        config.configDir = originalDir;
+        config.configFile = originalFile;
+        await fs.remove(configDir);
+      }
+    });
+  });
+
+  describe('保存', () => {
+    test('保存时不应该覆盖其他进程保存的修改', async () => {
+      const configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'terrafe-config-'));
+      const { configDir: originalDir, configFile: originalFile } = config;
+      config.configDir = configDir;
+      config.configFile = path.join(configDir, 'config.json');
+
+      try {
+        await config.load();
+        config.set('user.name', 'me');
+        await config.addCustomTemplate('mine', 'me/mine');
+
+        // 其他进程在本进程加载之后保存的修改
+        const other = await fs.readJson(config.configFile);
+        other.gitInit = false;
+        other.templates.custom.theirs = { repo: 'them/theirs', description: '', tags: [] };
+        await fs.writeJson(config.configFile, other);
+
+        expect(await config.savePreset('web', { template: 'vite-vue-ts' })).toBe(true);
+
+        const saved = await fs.readJson(config.configFile);
+        expect(saved.gitInit).toBe(false);
+        expect(saved.user.name).toBe('me');
+        expect(Object.keys(saved.templates.custom).sort()).toEqual(['mine', 'theirs']);
+        expect(saved.presets.web).toEqual({ template: 'vite-vue-ts' });
+        expect(config.get('gitInit')).toBe(false);
+        expect(fs.readdirSync(configDir)).toEqual(['config.json']);
+      } finally {
+        config.configDir = originalDir;
+        config.configFile = originalFile;
+        await fs.remove(configDir);
+      }
+    });
+  });
+});
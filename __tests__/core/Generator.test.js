@@ -0,0 +1,367 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs-extra';
+import path from 'path';
+import { execSync } from 'child_process';
+import generator from '../../lib/core/Generator.js';
+import logger from '../../lib/utils/logger.js';
+import { omitSecrets, readProjectRecord } from '../../lib/core/ProjectRecord.js';
+
+describe('Generator', () => {
+  let testDir;
+  let stagingDir;
+  let targetDir;
+
+  beforeEach(async () => {
+    testDir = path.resolve('./test-generator-' + Date.now());
+    stagingDir = path.join(testDir, 'staging');
+    targetDir = path.join(testDir, 'target');
+
+    await fs.outputFile(path.join(stagingDir, 'README.md'), '# 模板\n');
+    await fs.outputFile(path.join(stagingDir, 'LICENSE'), 'MIT\n');
+    await fs.outputFile(path.join(stagingDir, 'src/main.js'), 'console.log(1);\n');
+    await fs.outputFile(path.join(targetDir, 'README.md'), '# 现有项目\n');
+    await fs.outputFile(path.join(targetDir, 'LICENSE'), 'MIT\n');
+
+    generator.options = {};
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.remove(testDir);
+    } catch (error) {
+      console.warn('清理测试目录失败:', error);
+    }
+  });
+
+  describe('合并到现有目录', () => {
+    test('非交互模式下冲突文件应该另存为 .terrafe-new', async () => {
+      generator.setOptions({ interactive: false });
+      const result = await generator.mergeStagingDir(stagingDir, targetDir);
+
+      expect(result.created).toEqual(['src/main.js']);
+      expect(result.unchanged).toEqual(['LICENSE']);
+      expect(result.renamed).toEqual(['README.md.terrafe-new']);
+      expect(await fs.readFile(path.join(targetDir, 'README.md'), 'utf8')).toBe('# 现有项目\n');
+      expect(await fs.readFile(path.join(targetDir, 'README.md.terrafe-new'), 'utf8')).toBe('# 模板\n');
+      expect(fs.existsSync(stagingDir)).toBe(false);
+    });
+
+    test('应该按 --conflict 指定的方式处理冲突', async () => {
+      generator.setOptions({ interactive: false, conflict: 'overwrite' });
+      const result = await generator.mergeStagingDir(stagingDir, targetDir);
+
+      expect(result.overwritten).toEqual(['README.md']);
+      expect(await fs.readFile(path.join(targetDir, 'README.md'), 'utf8')).toBe('# 模板\n');
+    });
+
+    test('跳过时应该保留现有文件', async () => {
+      generator.setOptions({ interactive: false, conflict: 'skip' });
+      const result = await generator.mergeStagingDir(stagingDir, targetDir);
+
+      expect(result.skipped).toEqual(['README.md']);
+      expect(fs.existsSync(path.join(targetDir, 'README.md.terrafe-new'))).toBe(false);
+      expect(fs.existsSync(path.join(targetDir, 'src/main.js'))).toBe(true);
+    });
+  });
+
+  describe('添加功能', () => {
+    beforeEach(async () => {
+      await fs.outputJson(path.join(targetDir, 'package.json'), {
+        name: 'demo',
+        scripts: { test: 'jest' },
+        devDependencies: { vitest: '^1.0.0' },
+      });
+    });
+
+    test('应该合并 package.json 补丁并保留现有脚本和依赖', async () => {
+      generator.setOptions({ skipInstall: true });
+      const packages = await generator.applyPackagePatch(targetDir, {
+        scripts: { test: 'vitest', 'test:run': 'vitest run' },
+        devDependencies: { vitest: '^2.0.0', '@vitest/ui': '^2.0.0' },
+        engines: { node: '>=18' },
+      });
+      const packageJson = await fs.readJson(path.join(targetDir, 'package.json'));
+
+      expect(packages.devDependencies).toEqual(['@vitest/ui@^2.0.0']);
+      expect(packageJson.scripts).toEqual({ test: 'jest', 'test:run': 'vitest run' });
+      expect(Object.keys(packageJson.devDependencies)).toEqual(['@vitest/ui', 'vitest']);
+      expect(packageJson.devDependencies.vitest).toBe('^1.0.0');
+      expect(packageJson.engines).toEqual({ node: '>=18' });
+    });
+
+    test('应该将内置功能添加到现有项目', async () => {
+      await generator.addFeature(
+        { type: 'local', path: path.resolve('lib/features/editorconfig') },
+        { cwd: targetDir, skipInstall: true, interactive: false }
+      );
+
+      expect(fs.existsSync(path.join(targetDir, '.editorconfig'))).toBe(true);
+      expect(fs.existsSync(path.join(targetDir, 'terrafe.config.js'))).toBe(false);
+    });
+
+    test('生成项目时应该添加附加功能且保留模板中的文件', async () => {
+      const templateDir = path.join(testDir, 'template');
+      await fs.outputJson(path.join(templateDir, 'package.json'), {
+        name: '{{projectName}}',
+        devDependencies: { prettier: '^2.0.0' },
+      });
+      await fs.outputFile(path.join(templateDir, '.prettierrc.json'), '{}\n');
+
+      const projectName = 'test-generator-addons-' + Date.now();
+      const projectDir = path.resolve(projectName);
+      try {
+        await generator.generate(projectName, {
+          templatePath: templateDir,
+          templateData: { projectName },
+          features: ['prettier', 'editorconfig'].map((name) => ({
+            type: 'local',
+            path: path.resolve(`lib/features/${name}`),
+            name,
+          })),
+          interactive: false,
+          skipGit: true,
+          skipInstall: true,
+        });
+
+        const packageJson = await fs.readJson(path.join(projectDir, 'package.json'));
+        expect(packageJson.devDependencies.prettier).toBe('^2.0.0');
+        expect(packageJson.scripts.format).toBeDefined();
+        expect(await fs.readFile(path.join(projectDir, '.prettierrc.json'), 'utf8')).toBe('{}\n');
+        expect(fs.existsSync(path.join(projectDir, '.editorconfig'))).toBe(true);
+        expect((await readProjectRecord(projectDir)).addons).toEqual(['prettier', 'editorconfig']);
+      } finally {
+        await fs.remove(projectDir);
+      }
+    });
+
+    test('目录中没有 package.json 时应该报错', async () => {
+      await expect(
+        generator.addFeature({ type: 'local', path: path.resolve('lib/features/editorconfig') }, { cwd: stagingDir })
+      ).rejects.toMatchObject({ code: 'PROJECT_NOT_FOUND' });
+    });
+  });
+
+  describe('升级项目', () => {
+    let baseDir;
+
+    beforeEach(async () => {
+      baseDir = path.join(testDir, 'base');
+      await fs.outputFile(path.join(baseDir, 'README.md'), '# 现有项目\n');
+      await fs.outputFile(path.join(baseDir, 'LICENSE'), 'MIT\n');
+      await fs.outputFile(path.join(baseDir, 'old.txt'), 'old\n');
+      await fs.outputFile(path.join(targetDir, 'old.txt'), 'old\n');
+      generator.nextSteps = [];
+    });
+
+    test('应该应用模板的新增、修改和删除', async () => {
+      await fs.outputFile(path.join(stagingDir, 'LICENSE'), 'Apache-2.0\n');
+      await fs.outputFile(path.join(targetDir, 'README.md'), '# 我的项目\n');
+      const result = await generator.applyUpgrade(baseDir, stagingDir, targetDir, '模板');
+
+      expect(result.added).toEqual(['src/main.js']);
+      expect(result.changed).toEqual(['LICENSE']);
+      expect(result.removed).toEqual(['old.txt']);
+      expect(result.conflicted).toEqual(['README.md']);
+      expect(await fs.readFile(path.join(targetDir, 'LICENSE'), 'utf8')).toBe('Apache-2.0\n');
+      expect(fs.existsSync(path.join(targetDir, 'old.txt'))).toBe(false);
+      expect(await fs.readFile(path.join(targetDir, 'README.md'), 'utf8')).toBe(
+        '<<<<<<< 当前项目\n# 我的项目\n=======\n# 模板\n>>>>>>> 模板\n'
+      );
+    });
+
+    test('双方修改不同的行时应该自动合并', async () => {
+      await fs.outputFile(path.join(baseDir, 'config.txt'), 'a\nb\nc\nd\n');
+      await fs.outputFile(path.join(targetDir, 'config.txt'), 'a\nB\nc\nd\n');
+      await fs.outputFile(path.join(stagingDir, 'config.txt'), 'a\nb\nc\nD\n');
+      await fs.outputFile(path.join(stagingDir, 'README.md'), '# 现有项目\n');
+      const result = await generator.applyUpgrade(baseDir, stagingDir, targetDir, '模板');
+
+      expect(result.changed).toEqual(['config.txt']);
+      expect(result.conflicted).toEqual([]);
+      expect(await fs.readFile(path.join(targetDir, 'config.txt'), 'utf8')).toBe('a\nB\nc\nD\n');
+    });
+  });
+
+  describe('处理变量', () => {
+    test('没有清单的模板应该处理 Vue 文件中的变量并保留原始块', async () => {
+      const templateDir = path.join(testDir, 'template');
+      await fs.outputFile(
+        path.join(templateDir, 'src/App.vue'),
+        '<h1>{{projectName}}</h1>\n{{{{raw}}}}<p>{{ msg }}</p>{{{{/raw}}}}\n'
+      );
+
+      const projectName = 'test-generator-vue-' + Date.now();
+      const projectDir = path.resolve(projectName);
+      try {
+        await generator.generate(projectName, {
+          templatePath: templateDir,
+          templateData: { projectName },
+          interactive: false,
+          skipGit: true,
+          skipInstall: true,
+        });
+
+        expect(await fs.readFile(path.join(projectDir, 'src/App.vue'), 'utf8')).toBe(
+          `<h1>${projectName}</h1>\n<p>{{ msg }}</p>\n`
+        );
+      } finally {
+        await fs.remove(projectDir);
+      }
+    });
+  });
+
+  describe('模板钩子', () => {
+    test('projectDir 应该指向当前生成目录，finalDir 指向项目最终所在目录', async () => {
+      const templateDir = path.join(testDir, 'template');
+      await fs.outputFile(
+        path.join(templateDir, 'terrafe.config.js'),
+        `import fs from 'fs';
+import path from 'path';
+export default {
+  afterRender: async (data, { projectDir, targetDir, finalDir }) =>
+    fs.writeFileSync(path.join(projectDir, 'dirs.json'), JSON.stringify({ same: projectDir === targetDir, finalDir })),
+};
+`
+      );
+      await fs.outputFile(path.join(templateDir, 'README.md'), '# {{projectName}}\n');
+
+      const projectName = 'test-generator-hooks-' + Date.now();
+      const projectDir = path.resolve(projectName);
+      try {
+        await generator.generate(projectName, {
+          templatePath: templateDir,
+          templateData: { projectName },
+          interactive: false,
+          skipGit: true,
+          skipInstall: true,
+        });
+
+        expect(await fs.readJson(path.join(projectDir, 'dirs.json'))).toEqual({ same: true, finalDir: projectDir });
+      } finally {
+        await fs.remove(projectDir);
+      }
+    });
+  });
+
+  describe('预览模式', () => {
+    test('不应该执行模板钩子，预览结果应该与实际生成一致', async () => {
+      const templateDir = path.join(testDir, 'template');
+      const marker = path.join(testDir, 'hook.txt');
+      await fs.outputFile(
+        path.join(templateDir, 'terrafe.config.js'),
+        `import fs from 'fs';
+const touch = () => fs.writeFileSync(${JSON.stringify(marker)}, 'hook');
+export default { beforeRender: touch, afterPackageJson: touch, complete: touch };
+`
+      );
+      await fs.outputFile(path.join(templateDir, 'README.md'), '# {{projectName}}\n');
+
+      const projectName = 'test-generator-dry-run-' + Date.now();
+      const projectDir = path.resolve(projectName);
+      await fs.ensureDir(path.join(projectDir, '.git'));
+
+      const output = [];
+      const { log, info, warn } = logger;
+      logger.log = (message) => output.push(message);
+      logger.info = (message) => output.push(message);
+      logger.warn = (message) => output.push(message);
+      try {
+        await generator.dryRun(projectName, {
+          templatePath: templateDir,
+          templateData: { projectName },
+          interactive: false,
+          merge: true,
+          skipInstall: true,
+        });
+        expect(await fs.readdir(projectDir)).toEqual(['.git']);
+      } finally {
+        logger.log = log;
+        logger.info = info;
+        logger.warn = warn;
+        await fs.remove(projectDir);
+      }
+
+      const text = output.join('\n');
+      expect(fs.existsSync(marker)).toBe(false);
+      expect(text).toContain('实际创建时将执行: beforeRender, afterPackageJson, complete');
+      expect(text).toContain('.terrafe.json');
+      expect(text).not.toContain('git init');
+      expect(text).toContain('目标目录已是Git仓库');
+    });
+  });
+
+  describe('项目记录', () => {
+    test('应该去掉保密的答案和数据', () => {
+      const data = { projectName: 'demo', npmToken: 'x', apiKey: 'y', sentryDsn: 'z', apiBase: '/api' };
+
+      expect(omitSecrets(data, ['sentryDsn'])).toEqual({ projectName: 'demo', apiBase: '/api' });
+    });
+
+    test('生成项目时应该写入 .terrafe.json', async () => {
+      const templateDir = path.join(testDir, 'template');
+      await fs.outputJson(path.join(templateDir, 'terrafe.json'), {
+        version: '1.2.0',
+        prompts: [{ type: 'password', name: 'dbPassword', message: '密码', default: 'secret' }],
+      });
+      await fs.outputFile(path.join(templateDir, 'README.md'), '# {{projectName}}\n');
+
+      const projectName = 'test-generator-record-' + Date.now();
+      let record;
+      try {
+        await generator.generate(projectName, {
+          templatePath: templateDir,
+          templateData: { projectName, author: 'me' },
+          interactive: false,
+          skipGit: true,
+          skipInstall: true,
+        });
+        record = await readProjectRecord(path.resolve(projectName));
+      } finally {
+        await fs.remove(path.resolve(projectName));
+      }
+
+      expect(record.template).toMatchObject({ type: 'local', path: templateDir, version: '1.2.0' });
+      expect(record.data).toEqual({ projectName, author: 'me' });
+      expect(record.answers).toEqual({});
+      expect(new Date(record.createdAt).getTime()).not.toBeNaN();
+      expect(record.terrafeVersion).toMatch(/^\d+\.\d+\.\d+/);
+    });
+
+    test('应该获取本地模板在记录提交时的版本', async () => {
+      const repoDir = path.join(testDir, 'repo');
+      const templateDir = path.join(repoDir, 'tpl');
+      const git = (command) => execSync(`git -c user.name=test -c user.email=test@test ${command}`, { cwd: repoDir });
+
+      await fs.outputFile(path.join(templateDir, 'README.md'), 'v1\n');
+      git('init --quiet');
+      git('add -A');
+      git('commit --quiet -m v1');
+      const commit = execSync('git rev-parse HEAD', { cwd: repoDir }).toString().trim();
+      await fs.outputFile(path.join(templateDir, 'README.md'), 'v2\n');
+      git('commit --quiet -am v2');
+
+      const revisionPath = await generator.getTemplatePath({ type: 'local', path: templateDir, commit });
+      expect(await fs.readFile(path.join(revisionPath, 'README.md'), 'utf8')).toBe('v1\n');
+
+      await generator.cleanupTempDirs();
+      expect(fs.existsSync(revisionPath)).toBe(false);
+    });
+
+    test('GitHub 模板应该记录下载时固定的提交而不是分支当前的提交', async () => {
+      await generator.init();
+      const commit = 'a'.repeat(40);
+      generator.template = { manifest: { version: '1.0.0' } };
+      generator.cacheManager.resolveCommit = async () => 'b'.repeat(40);
+      generator.cacheManager.getTemplateCommit = async (repo) => (repo === 'user/repo' ? commit : null);
+      generator.cacheManager.getTemplateHash = async () => 'hash';
+
+      expect(await generator.getTemplateRevision({ type: 'github', repo: 'user/repo' }, testDir)).toEqual({
+        resolved: `user/repo#${commit}`,
+        version: '1.0.0',
+        commit,
+        hash: 'hash',
+      });
+      expect((await generator.getTemplateRevision({ type: 'github', repo: 'user/other' }, testDir)).commit).toBeNull();
+    });
+  });
+});
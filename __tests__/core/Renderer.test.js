@@ -0,0 +1,162 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs-extra';
+import path from 'path';
+import Renderer from '../../lib/core/Renderer.js';
+import { splitWords, formatDate } from '../../lib/core/helpers.js';
+import { getEscapeStrategy } from '../../lib/core/escape.js';
+
+describe('Renderer', () => {
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new Renderer();
+  });
+
+  describe('内置助手', () => {
+    test('应该支持大小写转换', () => {
+      const output = renderer.render(
+        '{{pascalCase name}} {{camelCase name}} {{kebabCase name}} {{snakeCase name}} {{constantCase name}}',
+        { name: 'myAwesome-app' }
+      );
+
+      expect(output).toBe('MyAwesomeApp myAwesomeApp my-awesome-app my_awesome_app MY_AWESOME_APP');
+      expect(splitWords('@scope/XMLParser')).toEqual(['scope', 'XML', 'Parser']);
+    });
+
+    test('比较助手应该支持子表达式和块两种写法', () => {
+      const data = { store: 'pinia', router: false, features: [] };
+
+      expect(renderer.render('{{#if (eq store "pinia")}}yes{{/if}}', data)).toBe('yes');
+      expect(renderer.render('{{#ne store "pinia"}}yes{{else}}no{{/ne}}', data)).toBe('no');
+      expect(renderer.render('{{#ifAny router features}}yes{{else}}no{{/ifAny}}', data)).toBe('no');
+      expect(renderer.render('{{#ifAny router store}}yes{{/ifAny}}', data)).toBe('yes');
+      expect(renderer.render('{{#if (and store (not router))}}yes{{/if}}', data)).toBe('yes');
+    });
+
+    test('应该输出未转义的 JSON 和 YAML', () => {
+      const data = { deps: { vue: '^3.4.0', '<x>': '&' } };
+
+      expect(renderer.render('{{json deps}}', data)).toBe(JSON.stringify(data.deps, null, 2));
+      expect(renderer.render('{{json deps 0}}', data)).toBe(JSON.stringify(data.deps));
+      expect(renderer.render('{{yaml deps}}', data)).toBe("vue: ^3.4.0\n<x>: '&'");
+    });
+
+    test('应该格式化日期', () => {
+      expect(formatDate(new Date(2024, 0, 5, 9, 3, 7), 'YYYY/MM/DD HH:mm:ss')).toBe('2024/01/05 09:03:07');
+      expect(renderer.render('{{year}}', {})).toBe(String(new Date().getFullYear()));
+      expect(renderer.render('{{date "YYYY" "2020-06-01"}}', {})).toBe('2020');
+    });
+  });
+
+  describe('上下文转义', () => {
+    const data = { description: `Tom & Jerry "<cli>" it's`, multiline: 'a\nb', port: 3000 };
+
+    test('应该根据文件类型选择转义策略', () => {
+      expect(getEscapeStrategy('package.json')).toBe('json');
+      expect(getEscapeStrategy('src/main.ts')).toBe('js');
+      expect(getEscapeStrategy('.github/workflows/ci.yml.hbs')).toBe('yaml');
+      expect(getEscapeStrategy('index.html')).toBe('html');
+      expect(getEscapeStrategy('README.md')).toBe('none');
+      expect(getEscapeStrategy('Dockerfile')).toBe('none');
+    });
+
+    test('JSON 字符串中的值应该按 JSON 转义', () => {
+      const template = '{ "description": "{{description}}", "port": {{port}} }';
+      const output = renderer.render(template, data, { escape: 'json' });
+
+      expect(JSON.parse(output)).toEqual({ description: data.description, port: 3000 });
+    });
+
+    test('JS 字符串、模板字符串和注释中的值应该按上下文转义', () => {
+      const output = renderer.render(
+        "module.exports = ['{{description}}', \"{{description}}\", `{{multiline}}`, {{port}}]; // {{multiline}}",
+        data,
+        { escape: 'js' }
+      );
+      const module = {};
+      new Function('module', output)(module);
+
+      expect(module.exports).toEqual([data.description, data.description, data.multiline, 3000]);
+    });
+
+    test('YAML 中的值应该在需要时加引号', () => {
+      const template = [
+        'a: {{description}}',
+        'b: "{{description}}"',
+        "c: '{{multiline}}'",
+        'd: {{multiline}}',
+        'e: [{{port}}, {{description}}]',
+      ].join('\n');
+      const output = renderer.render(template, { ...data, description: '@scope/app: cli' }, { escape: 'yaml' });
+
+      expect(output.split('\n')[0]).toBe("a: '@scope/app: cli'");
+      expect(output).toContain('d: "a\\nb"');
+      expect(output).toContain("e: [3000, '@scope/app: cli']");
+    });
+
+    test('Markdown 中的值不应该被转义', () => {
+      expect(renderer.render('# {{description}}', data, { escape: 'none' })).toBe(`# ${data.description}`);
+      expect(renderer.render('<p>{{description}}</p>', data)).toBe(
+        '<p>Tom &amp; Jerry &quot;&lt;cli&gt;&quot; it&#x27;s</p>'
+      );
+    });
+  });
+
+  describe('原始内容与定界符', () => {
+    test('{{{{raw}}}} 块中的内容应该原样输出', () => {
+      expect(renderer.render('{{name}} {{{{raw}}}}<p>{{ msg }}</p>{{{{/raw}}}}', { name: 'app' })).toBe(
+        'app <p>{{ msg }}</p>'
+      );
+    });
+
+    test('自定义定界符应该保留原有的 {{ }}', () => {
+      const custom = new Renderer({ delimiters: ['[[', ']]'] });
+      const output = custom.render('<h1>{{ msg }}</h1>[[pascalCase name]][[#if flag]]!{{{x}}}[[/if]]', {
+        name: 'my-app',
+        flag: true,
+      });
+
+      expect(output).toBe('<h1>{{ msg }}</h1>MyApp!{{{x}}}');
+      expect(custom.render('<%= name %>', { name: 'app' })).toBe('<%= name %>');
+      expect(new Renderer({ delimiters: ['<%=', '%>'] }).render('<%= name %> {{ name }}', { name: 'app' })).toBe(
+        'app {{ name }}'
+      );
+    });
+  });
+
+  describe('模板扩展', () => {
+    let partialsDir;
+
+    beforeEach(async () => {
+      partialsDir = path.resolve('./test-partials-' + Date.now());
+      await fs.ensureDir(partialsDir);
+    });
+
+    afterEach(async () => {
+      try {
+        await fs.remove(partialsDir);
+      } catch (error) {
+        console.warn('清理测试目录失败:', error);
+      }
+    });
+
+    test('应该按相对路径注册局部模板', async () => {
+      await fs.outputFile(path.join(partialsDir, 'layout/header.hbs'), '# {{titleCase name}}');
+      await fs.outputFile(path.join(partialsDir, 'footer.md'), 'by {{author}}');
+
+      const names = await renderer.loadPartials(partialsDir);
+
+      expect(names.sort()).toEqual(['footer', 'layout/header']);
+      expect(renderer.render('{{> layout/header}} {{> footer}}', { name: 'my-app', author: 'me' })).toBe(
+        '# My App by me'
+      );
+    });
+
+    test('应该注册模板助手且不影响其他渲染器', () => {
+      renderer.registerHelpers({ shout: (value) => `${value}!` });
+
+      expect(renderer.render('{{shout name}}', { name: 'hi' })).toBe('hi!');
+      expect(() => new Renderer().render('{{shout name}}', { name: 'hi' })).toThrow();
+    });
+  });
+});
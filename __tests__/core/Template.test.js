@@ -0,0 +1,381 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs-extra';
+import path from 'path';
+import Template, { createCondition } from '../../lib/core/Template.js';
+import fileUtils from '../../lib/utils/file.js';
+
+describe('Template', () => {
+  let templateDir;
+
+  beforeEach(async () => {
+    templateDir = path.resolve('./test-template-' + Date.now());
+    await fs.ensureDir(templateDir);
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.remove(templateDir);
+    } catch (error) {
+      console.warn('清理测试模板目录失败:', error);
+    }
+  });
+
+  describe('清单加载', () => {
+    test('没有清单文件时应该返回空清单', async () => {
+      const template = new Template(templateDir);
+      const manifest = await template.load();
+
+      expect(manifest).toEqual({});
+      expect(template.manifestFile).toBeNull();
+    });
+
+    test('应该能加载 terrafe.json', async () => {
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), {
+        prompts: [{ type: 'input', name: 'apiBase', message: 'API 地址?' }],
+      });
+
+      const template = new Template(templateDir);
+      await template.load();
+
+      expect(template.getPrompts()).toHaveLength(1);
+      expect(template.isManifestFile(path.join(templateDir, 'terrafe.json'))).toBe(true);
+      expect(template.isManifestFile(path.join(templateDir, 'src', 'terrafe.json'))).toBe(false);
+    });
+
+    test('应该能加载 terrafe.config.js 中的函数', async () => {
+      await fs.writeFile(
+        path.join(templateDir, 'terrafe.config.mjs'),
+        `export default {
+          prompts: [{ type: 'confirm', name: 'usePinia', message: 'Pinia?', default: true }],
+          templateData: (data) => ({ storeName: data.usePinia ? 'pinia' : 'none' }),
+        };`
+      );
+
+      const template = new Template(templateDir);
+      await template.load();
+      const answers = await template.prompt({ interactive: false });
+      const data = await template.resolveTemplateData({ projectName: 'demo', ...answers });
+
+      expect(answers).toEqual({ usePinia: true });
+      expect(data.storeName).toBe('pinia');
+    });
+
+    test('应该拒绝保留名称和不支持的询问类型', async () => {
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), {
+        prompts: [{ type: 'input', name: 'projectName', message: '名称?' }],
+      });
+      await expect(new Template(templateDir).load()).rejects.toMatchObject({ code: 'TEMPLATE_MANIFEST_ERROR' });
+
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), {
+        prompts: [{ type: 'autocomplete', name: 'x', message: 'x?' }],
+      });
+      await expect(new Template(templateDir).load()).rejects.toMatchObject({ code: 'TEMPLATE_MANIFEST_ERROR' });
+    });
+  });
+
+  describe('非交互式询问', () => {
+    test('应该使用默认值并遵循 when 条件', async () => {
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), {
+        prompts: [
+          { type: 'confirm', name: 'useStore', message: '状态管理?', default: false },
+          { type: 'list', name: 'store', message: '状态库', choices: ['pinia', 'vuex'], when: 'useStore' },
+          {
+            type: 'checkbox',
+            name: 'features',
+            message: '功能',
+            choices: [{ name: 'Router', value: 'router', checked: true }, { name: 'I18n', value: 'i18n' }],
+          },
+        ],
+      });
+
+      const template = new Template(templateDir);
+      await template.load();
+      const answers = await template.prompt({ interactive: false });
+
+      expect(answers).toEqual({ useStore: false, features: ['router'] });
+    });
+
+    test('应该识别需要保密的询问', async () => {
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), {
+        prompts: [
+          { type: 'password', name: 'dbPassword', message: '数据库密码' },
+          { type: 'input', name: 'sentryDsn', message: 'Sentry DSN', secret: true },
+          { type: 'input', name: 'apiBase', message: 'API 地址' },
+        ],
+      });
+
+      const template = new Template(templateDir);
+      await template.load();
+
+      expect(template.getSecretNames()).toEqual(['dbPassword', 'sentryDsn']);
+      expect(template.getPrompts()[1]).not.toHaveProperty('secret');
+    });
+
+    test('已有答案的询问应该保留原值', async () => {
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), {
+        prompts: [
+          { type: 'confirm', name: 'useStore', message: '状态管理?', default: false },
+          { type: 'list', name: 'store', message: '状态库', choices: ['pinia', 'vuex'], when: 'useStore' },
+        ],
+      });
+
+      const template = new Template(templateDir);
+      await template.load();
+      const answers = await template.prompt({ interactive: false, answers: { useStore: true } });
+
+      expect(answers).toEqual({ useStore: true, store: 'pinia' });
+    });
+
+    test('与已知数据同名的询问应该保留已知的值', async () => {
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), {
+        prompts: [
+          { type: 'input', name: 'description', message: '项目描述', default: 'A TerraFE project' },
+          { type: 'input', name: 'author', message: '作者', default: 'anonymous' },
+        ],
+      });
+
+      const template = new Template(templateDir);
+      await template.load();
+      const answers = await template.prompt({
+        interactive: false,
+        context: { projectName: 'demo', description: '我的项目', author: undefined },
+      });
+
+      expect(answers).toEqual({ description: '我的项目', author: 'anonymous' });
+    });
+
+    test('严格模式下必填询问没有答案时应该报错', async () => {
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), {
+        prompts: [
+          { type: 'input', name: 'apiBase', message: 'API 地址', required: true },
+          { type: 'input', name: 'port', message: '端口', default: 'abc', validate: { pattern: '^\\d+$' } },
+          { type: 'input', name: 'token', message: 'Token', required: true, when: 'useAuth' },
+        ],
+      });
+
+      const template = new Template(templateDir);
+      await template.load();
+
+      await expect(template.prompt({ interactive: false, strict: true })).rejects.toMatchObject({
+        code: 'MISSING_ANSWERS',
+        details: {
+          questions: [
+            { name: 'apiBase', message: 'API 地址', reason: '此项为必填项' },
+            { name: 'port', message: '端口', reason: '输入不符合格式: ^\\d+$' },
+          ],
+        },
+      });
+      await expect(
+        template.prompt({ interactive: false, strict: true, answers: { apiBase: '/api', port: 8080 } })
+      ).resolves.toEqual({ apiBase: '/api', port: 8080 });
+    });
+  });
+
+  describe('文件规则', () => {
+    test('应该根据答案包含或排除文件', async () => {
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), {
+        files: [
+          { include: 'src/store/**', when: { store: 'pinia' } },
+          { exclude: 'tests/**', when: { testing: false } },
+          { exclude: '**/*.log' },
+        ],
+      });
+
+      const template = new Template(templateDir);
+      await template.load();
+      const data = { store: 'none', testing: false };
+
+      expect(template.shouldInclude('src/store', data, true)).toBe(false);
+      expect(template.shouldInclude('src/store/index.js', { store: 'pinia' })).toBe(true);
+      expect(template.shouldInclude('tests', data, true)).toBe(false);
+      expect(template.shouldInclude('tests/app.test.js', { testing: true })).toBe(true);
+      expect(template.shouldInclude('logs/debug.log', {})).toBe(false);
+      expect(template.shouldInclude('src/main.js', data)).toBe(true);
+    });
+
+    test('应该支持强制指定文件类型', async () => {
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), {
+        binary: ['**/*.dat'],
+        text: ['**/*.tpl', 'assets/**'],
+      });
+
+      const template = new Template(templateDir);
+      await template.load();
+
+      expect(template.getForcedFileType('data/seed.dat')).toBe('binary');
+      expect(template.getForcedFileType('src/page.tpl')).toBe('text');
+      expect(template.getForcedFileType('assets/icon.svg')).toBe('text');
+      expect(template.getForcedFileType('src/main.js')).toBeNull();
+    });
+
+    test('缺少 include/exclude 的规则应该报错', async () => {
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), { files: [{ when: 'x' }] });
+      await expect(new Template(templateDir).load()).rejects.toMatchObject({ code: 'TEMPLATE_MANIFEST_ERROR' });
+    });
+  });
+
+  describe('忽略规则', () => {
+    test('应该默认忽略版本库、依赖、构建产物和锁文件', async () => {
+      const template = new Template(templateDir);
+      await template.load();
+
+      expect(template.isIgnored('.git', true)).toBe(true);
+      expect(template.isIgnored('packages/app/node_modules', true)).toBe(true);
+      expect(template.isIgnored('dist', true)).toBe(true);
+      expect(template.isIgnored('pnpm-lock.yaml')).toBe(true);
+      expect(template.isIgnored('src/dist.js')).toBe(false);
+      expect(template.isIgnored('.gitignore')).toBe(false);
+    });
+
+    test('应该读取 .terrafeignore 并支持 ! 重新包含', async () => {
+      await fs.writeFile(path.join(templateDir, '.terrafeignore'), '# 注释\n*.log\n/docs/\n!dist/\n');
+      const template = new Template(templateDir);
+      await template.load();
+
+      expect(template.isIgnored('logs/debug.log')).toBe(true);
+      expect(template.isIgnored('docs', true)).toBe(true);
+      expect(template.isIgnored('src/docs', true)).toBe(false);
+      expect(template.isIgnored('dist', true)).toBe(false);
+      expect(template.isInternalFile(path.join(templateDir, '.terrafeignore'))).toBe(true);
+    });
+
+    test('压缩产物和快照应该复制但不处理变量', async () => {
+      const template = new Template(templateDir);
+      await template.load();
+
+      expect(template.isVerbatim('public/vendor.min.js')).toBe(true);
+      expect(template.isVerbatim('src/__snapshots__', true)).toBe(true);
+      expect(template.isVerbatim('src/main.js')).toBe(false);
+    });
+  });
+
+  describe('原样复制与定界符', () => {
+    test('未配置时应该处理 Vue/Svelte/Astro 文件中的变量', async () => {
+      const template = new Template(templateDir);
+      await template.load();
+
+      expect(template.isVerbatim('src/App.vue')).toBe(false);
+      expect(template.isVerbatim('src/routes/+page.svelte')).toBe(false);
+      expect(template.isVerbatim('src/pages/index.astro')).toBe(false);
+      expect(template.getDelimiters()).toBeNull();
+    });
+
+    test('verbatim 为 true 时应该原样复制 Vue/Svelte/Astro 文件', async () => {
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), { verbatim: true });
+      const template = new Template(templateDir);
+      await template.load();
+
+      expect(template.isVerbatim('src/App.vue')).toBe(true);
+      expect(template.isVerbatim('src/routes/+page.svelte')).toBe(true);
+      expect(template.isVerbatim('src/pages/index.astro')).toBe(true);
+      expect(template.isVerbatim('index.html')).toBe(false);
+    });
+
+    test('配置 verbatim 或 delimiters 后应该替换默认规则', async () => {
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), { delimiters: ['<%=', '%>'] });
+      const withDelimiters = new Template(templateDir);
+      await withDelimiters.load();
+
+      expect(withDelimiters.isVerbatim('src/App.vue')).toBe(false);
+      expect(withDelimiters.getDelimiters()).toEqual(['<%=', '%>']);
+
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), { verbatim: ['public/**'] });
+      const withVerbatim = new Template(templateDir);
+      await withVerbatim.load();
+
+      expect(withVerbatim.isVerbatim('public/vendor/lib.js')).toBe(true);
+      expect(withVerbatim.isVerbatim('src/App.vue')).toBe(false);
+    });
+
+    test('应该拒绝无效的定界符', async () => {
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), { delimiters: ['[['] });
+      await expect(new Template(templateDir).load()).rejects.toMatchObject({ code: 'TEMPLATE_MANIFEST_ERROR' });
+    });
+  });
+
+  describe('模板助手', () => {
+    test('应该读取清单中的助手并拒绝非函数', async () => {
+      await fs.writeFile(
+        path.join(templateDir, 'terrafe.config.mjs'),
+        `export default { helpers: { shout: (value) => value + '!' } };`
+      );
+      const template = new Template(templateDir);
+      await template.load();
+
+      expect(template.getHelpers().shout('hi')).toBe('hi!');
+      expect(template.isInternalFile(path.join(templateDir, 'partials'))).toBe(true);
+      expect(template.isInternalFile(path.join(templateDir, 'src'))).toBe(false);
+
+      await fs.remove(path.join(templateDir, 'terrafe.config.mjs'));
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), { helpers: { shout: 'x' } });
+      await expect(new Template(templateDir).load()).rejects.toMatchObject({ code: 'TEMPLATE_MANIFEST_ERROR' });
+    });
+  });
+
+  describe('package.json 补丁', () => {
+    test('应该支持对象和函数形式的补丁', async () => {
+      await fs.writeFile(
+        path.join(templateDir, 'terrafe.config.mjs'),
+        `export default {
+          package: (data) => ({ devDependencies: data.typescript ? { 'typescript-eslint': '^8.0.0' } : {} }),
+        };`
+      );
+      const template = new Template(templateDir);
+      await template.load();
+
+      expect(await template.getPackagePatch({ typescript: true })).toEqual({
+        devDependencies: { 'typescript-eslint': '^8.0.0' },
+      });
+      expect(await new Template(path.join(templateDir, 'missing')).getPackagePatch({})).toEqual({});
+
+      await fs.remove(path.join(templateDir, 'terrafe.config.mjs'));
+      await fs.writeJson(path.join(templateDir, 'terrafe.json'), { package: ['eslint'] });
+      await expect(new Template(templateDir).load()).rejects.toMatchObject({ code: 'TEMPLATE_MANIFEST_ERROR' });
+    });
+  });
+
+  describe('生命周期钩子', () => {
+    test('应该以模板数据和上下文调用钩子', async () => {
+      await fs.writeFile(
+        path.join(templateDir, 'terrafe.config.mjs'),
+        `export default {
+          async afterRender(data, { files, nextSteps }) {
+            await files.write('generated/info.txt', data.projectName);
+            nextSteps.push('npm run dev');
+          },
+        };`
+      );
+
+      const template = new Template(templateDir);
+      await template.load();
+      const nextSteps = [];
+
+      expect(await template.runHook('beforeRender', {}, {})).toBe(false);
+      expect(
+        await template.runHook('afterRender', { projectName: 'demo' }, { files: fileUtils.scoped(templateDir), nextSteps })
+      ).toBe(true);
+      expect(await fs.readFile(path.join(templateDir, 'generated/info.txt'), 'utf8')).toBe('demo');
+      expect(nextSteps).toEqual(['npm run dev']);
+    });
+
+    test('钩子抛出的错误应该被包装为 TEMPLATE_HOOK_ERROR', async () => {
+      await fs.writeFile(
+        path.join(templateDir, 'terrafe.config.mjs'),
+        `export default { complete() { throw new Error('boom'); } };`
+      );
+
+      const template = new Template(templateDir);
+      await template.load();
+
+      await expect(template.runHook('complete', {}, {})).rejects.toMatchObject({ code: 'TEMPLATE_HOOK_ERROR' });
+    });
+  });
+
+  describe('createCondition', () => {
+    test('应该支持声明式条件', () => {
+      expect(createCondition('useRouter')({ useRouter: true })).toBe(true);
+      expect(createCondition({ store: 'pinia' })({ store: 'vuex' })).toBe(false);
+      expect(createCondition({ store: ['pinia', 'vuex'] })({ store: 'vuex' })).toBe(true);
+    });
+  });
+});
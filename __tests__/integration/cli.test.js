@@ -3,6 +3,7 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs-extra';
 import path from 'path';
+import CacheManager from '../../lib/cache/CacheManager.js';
 
 const execAsync = promisify(exec);
 
@@ -57,6 +58,68 @@ describe('TerraFE CLI 集成测试', () => {
         expect(error.code).not.toBe(0);
       }
     }, 10000);
+
+    test('没有为框架设置默认模板时应该报错', async () => {
+      const env = { ...process.env, HOME: path.resolve(testOutputDir, 'home') };
+      try {
+        await execAsync('node bin/index.js create my-app -y --framework angular', { env });
+        expect(true).toBe(false);
+      } catch (error) {
+        expect(error.code).not.toBe(0);
+        expect(error.stdout + error.stderr).toContain('没有为框架 "angular" 设置默认模板');
+      }
+    }, 10000);
+
+    test('同时选择 Vitest 和 Jest 时应该报错', async () => {
+      const env = { ...process.env, HOME: path.resolve(testOutputDir, 'home') };
+      try {
+        await execAsync('node bin/index.js create my-app -y --addons vitest,jest', { env });
+        expect(true).toBe(false);
+      } catch (error) {
+        expect(error.code).not.toBe(0);
+        expect(error.stdout + error.stderr).toContain('Vitest 和 Jest 只能选择一个');
+      }
+    }, 10000);
+  });
+
+  describe('使用默认模板创建项目', () => {
+    const homeDir = path.resolve(testOutputDir, 'home-defaults');
+    const env = { ...process.env, HOME: homeDir, FORCE_COLOR: '0' };
+    const cli = (args) => execAsync(`node ${path.resolve('bin/index.js')} ${args}`, { env, cwd: testOutputDir });
+
+    beforeAll(async () => {
+      // 预先缓存模板，离线使用，不访问网络
+      const values = { 'templates.cacheDir': path.join(homeDir, '.terrafe', 'cache') };
+      const cacheManager = new CacheManager({ get: (key, defaultValue) => values[key] ?? defaultValue });
+      cacheManager.resolveCommit = async () => null;
+      for (const name of ['vue', 'react']) {
+        cacheManager.downloadGitRepo = async (url, dest) => {
+          await fs.outputFile(path.join(dest, `${name}.md`), `# ${name} {{projectName}}\n`);
+        };
+        await cacheManager.downloadAndCache(`test/${name}`);
+      }
+
+      await cli('template add my-vue test/vue');
+      await cli('template add my-react test/react');
+      await cli('config set defaultTemplate my-vue');
+      await cli('config set defaults.react my-react');
+    }, 30000);
+
+    test('未指定模板时应该使用 defaultTemplate', async () => {
+      const { stdout } = await cli('create my-app -y --dry-run --offline');
+
+      expect(stdout).toContain('使用模板: my-vue (defaultTemplate)');
+      expect(stdout).toContain('vue.md');
+      expect(fs.existsSync(path.join(testOutputDir, 'my-app'))).toBe(false);
+    }, 10000);
+
+    test('指定框架时应该使用该框架的默认模板', async () => {
+      const { stdout } = await cli('create my-app -y --framework react --dry-run --offline');
+
+      expect(stdout).toContain('使用模板: my-react (defaults.react)');
+      expect(stdout).toContain('react.md');
+      expect(stdout).not.toContain('vue.md');
+    }, 10000);
   });
 
   describe('配置验证', () => {
@@ -0,0 +1,28 @@
+import { describe, test, expect } from '@jest/globals';
+import diffUtils from '../../lib/utils/diff.js';
+
+describe('DiffUtils', () => {
+  describe('三方合并', () => {
+    const base = 'a\nb\nc\nd\ne\n';
+
+    test('应该合并双方对不同区域的修改', () => {
+      const result = diffUtils.merge3(base, 'x\na\nB\nc\nd\ne\n', 'a\nb\nc\nd\nE\nf\n');
+
+      expect(result).toEqual({ content: 'x\na\nB\nc\nd\nE\nf\n', conflicts: 0 });
+    });
+
+    test('双方修改相同时不应该产生冲突', () => {
+      expect(diffUtils.merge3(base, 'a\nB\nc\nd\ne\n', 'a\nB\nc\nd\ne\n').conflicts).toBe(0);
+    });
+
+    test('双方修改同一区域时应该写入冲突标记', () => {
+      const result = diffUtils.merge3(base, 'a\nmine\nc\nd\ne\n', 'a\ntheirs\nc\nd\ne', {
+        oursLabel: 'ours',
+        theirsLabel: 'theirs',
+      });
+
+      expect(result.conflicts).toBe(1);
+      expect(result.content).toBe('a\n<<<<<<< ours\nmine\n=======\ntheirs\n>>>>>>> theirs\nc\nd\ne');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs-extra';
+import path from 'path';
+import fileUtils from '../../lib/utils/file.js';
+
+describe('FileUtils', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.resolve('./test-files-' + Date.now());
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.remove(testDir);
+    } catch (error) {
+      console.warn('清理测试目录失败:', error);
+    }
+  });
+
+  test('listFiles 应该递归列出所有文件', async () => {
+    await fs.outputFile(path.join(testDir, 'src/components/App.vue'), '');
+    await fs.outputFile(path.join(testDir, 'README.md'), '');
+    await fs.outputFile(path.join(testDir, '.gitignore'), '');
+
+    expect(await fileUtils.listFiles(testDir)).toEqual(['.gitignore', 'README.md', 'src/components/App.vue']);
+  });
+
+  test('formatSize 应该输出可读的大小', () => {
+    expect(fileUtils.formatSize(512)).toBe('512 B');
+    expect(fileUtils.formatSize(1536)).toBe('1.5 KB');
+    expect(fileUtils.formatSize(5 * 1024 * 1024)).toBe('5.0 MB');
+  });
+
+  test('parseSize 应该解析带单位的大小', () => {
+    expect(fileUtils.parseSize(2048)).toBe(2048);
+    expect(fileUtils.parseSize('500MB')).toBe(500 * 1024 * 1024);
+    expect(fileUtils.parseSize('1.5 kb')).toBe(1536);
+    expect(fileUtils.parseSize('-1')).toBeNull();
+    expect(fileUtils.parseSize('lots')).toBeNull();
+  });
+
+  test('scoped 应该以指定目录为根操作文件', async () => {
+    const files = fileUtils.scoped(testDir);
+
+    await files.write('config/app.json', '{"a":1}');
+    await files.updateJson('config/app.json', (data) => {
+      data.b = 2;
+    });
+
+    expect(files.exists('config/app.json')).toBe(true);
+    expect(await files.readJson('config/app.json')).toEqual({ a: 1, b: 2 });
+  });
+
+  test('isBinaryFile 应该根据文件内容判断类型', async () => {
+    await fs.writeFile(path.join(testDir, 'Dockerfile'), 'FROM node:{{nodeVersion}}\n');
+    await fs.writeFile(path.join(testDir, 'README.md'), '# 中文说明 🚀\n');
+    await fs.writeFile(path.join(testDir, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x1a]));
+    await fs.writeFile(path.join(testDir, 'latin1.txt'), Buffer.from([0xff, 0xfe, 0xfd, 0x41]));
+    await fs.writeFile(path.join(testDir, 'empty'), '');
+
+    expect(await fileUtils.isBinaryFile(path.join(testDir, 'Dockerfile'))).toBe(false);
+    expect(await fileUtils.isBinaryFile(path.join(testDir, 'README.md'))).toBe(false);
+    expect(await fileUtils.isBinaryFile(path.join(testDir, 'logo.png'))).toBe(true);
+    expect(await fileUtils.isBinaryFile(path.join(testDir, 'latin1.txt'))).toBe(true);
+    expect(await fileUtils.isBinaryFile(path.join(testDir, 'empty'))).toBe(false);
+  });
+
+  test('isSameContent 应该比较文件内容', async () => {
+    await fs.writeFile(path.join(testDir, 'a'), 'same');
+    await fs.writeFile(path.join(testDir, 'b'), 'same');
+    await fs.writeFile(path.join(testDir, 'c'), 'diff');
+
+    expect(await fileUtils.isSameContent(path.join(testDir, 'a'), path.join(testDir, 'b'))).toBe(true);
+    expect(await fileUtils.isSameContent(path.join(testDir, 'a'), path.join(testDir, 'c'))).toBe(false);
+  });
+
+  test('isBinaryBuffer 不应该因截断的多字节字符误判', () => {
+    const buffer = Buffer.from('中文', 'utf8').subarray(0, 4);
+
+    expect(fileUtils.isBinaryBuffer(buffer)).toBe(false);
+  });
+
+  test('hashDirectory 应该只与文件路径和内容有关', async () => {
+    await fs.outputFile(path.join(testDir, 'a/index.js'), 'export default 1;\n');
+    await fs.outputFile(path.join(testDir, 'README.md'), '# demo\n');
+    const hash = await fileUtils.hashDirectory(testDir);
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    await fs.utimes(path.join(testDir, 'README.md'), new Date(0), new Date(0));
+    expect(await fileUtils.hashDirectory(testDir)).toBe(hash);
+
+    await fs.move(path.join(testDir, 'README.md'), path.join(testDir, 'README.txt'));
+    expect(await fileUtils.hashDirectory(testDir)).not.toBe(hash);
+  });
+});
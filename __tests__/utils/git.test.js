@@ -0,0 +1,57 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs-extra';
+import path from 'path';
+import { execSync } from 'child_process';
+import gitUtils from '../../lib/utils/git.js';
+
+describe('GitUtils', () => {
+  let testDir;
+  let repoDir;
+  let commit;
+
+  beforeEach(async () => {
+    testDir = path.resolve('./test-git-' + Date.now());
+    // 路径中的引号和 $ 不应该被 shell 解释
+    repoDir = path.join(testDir, `repo "$HOME"`);
+    const git = (command) => execSync(`git -c user.name=test -c user.email=test@test ${command}`, { cwd: repoDir });
+
+    await fs.outputFile(path.join(repoDir, 'README.md'), 'v1\n');
+    git('init --quiet --initial-branch=main');
+    git('add -A');
+    git('commit --quiet -m v1');
+    git('tag -a v1 -m v1');
+    commit = execSync('git rev-parse HEAD', { cwd: repoDir }).toString().trim();
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.remove(testDir);
+    } catch (error) {
+      console.warn('清理测试目录失败:', error);
+    }
+  });
+
+  test('应该导出指定提交的文件', async () => {
+    const targetDir = path.join(testDir, `export '$(id)'`);
+
+    expect(await gitUtils.exportCommit(repoDir, commit, targetDir)).toBe(true);
+    expect(await fs.readFile(path.join(targetDir, 'README.md'), 'utf8')).toBe('v1\n');
+  });
+
+  test('不是提交哈希时应该拒绝导出', async () => {
+    const marker = path.join(testDir, 'pwned');
+    const targetDir = path.join(testDir, 'export');
+
+    expect(await gitUtils.exportCommit(repoDir, `${commit}; touch "${marker}"`, targetDir)).toBe(false);
+    expect(await gitUtils.exportCommit(repoDir, '--help', targetDir)).toBe(false);
+    expect(fs.existsSync(marker)).toBe(false);
+    expect(fs.existsSync(targetDir)).toBe(false);
+  });
+
+  test('应该查询远程仓库中分支和附注标签指向的提交', async () => {
+    expect(await gitUtils.getRemoteCommit(repoDir, 'main')).toBe(commit);
+    expect(await gitUtils.getRemoteCommit(repoDir, 'v1')).toBe(commit);
+    expect(await gitUtils.getRemoteCommit(repoDir, 'missing')).toBeNull();
+    expect(await gitUtils.getRemoteCommit(repoDir, '--upload-pack=touch')).toBeNull();
+  });
+});
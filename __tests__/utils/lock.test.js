@@ -0,0 +1,129 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import lockUtils from '../../lib/utils/lock.js';
+
+describe('LockUtils', () => {
+  let testDir;
+  let lockPath;
+
+  beforeEach(async () => {
+    testDir = path.resolve('./test-lock-' + Date.now());
+    lockPath = path.join(testDir, 'test.lock');
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.remove(testDir);
+    } catch (error) {
+      console.warn('清理测试目录失败:', error);
+    }
+  });
+
+  test('应该依次执行持有同一个锁的函数', async () => {
+    const events = [];
+    const task = (name) =>
+      lockUtils.withLock(lockPath, async () => {
+        events.push(`${name}:start`);
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        events.push(`${name}:end`);
+      });
+
+    await Promise.all([task('a'), task('b')]);
+
+    expect(events).toEqual(['a:start', 'a:end', 'b:start', 'b:end']);
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('函数抛出错误时也应该释放锁', async () => {
+    await expect(
+      lockUtils.withLock(lockPath, async () => {
+        throw new Error('失败');
+      })
+    ).rejects.toThrow('失败');
+
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('应该接管持有者进程已退出的锁', async () => {
+    await fs.outputJson(path.join(lockPath, 'owner.json'), { pid: 999999999, hostname: os.hostname() });
+
+    expect(await lockUtils.withLock(lockPath, async () => 'ok', { timeout: 1000 })).toBe('ok');
+  });
+
+  test('应该接管超过过期时间未更新的锁', async () => {
+    await fs.ensureDir(lockPath);
+    const past = new Date(Date.now() - 60000);
+    await fs.utimes(lockPath, past, past);
+
+    expect(await lockUtils.withLock(lockPath, async () => 'ok', { timeout: 1000, stale: 30000 })).toBe('ok');
+  });
+
+  test('多个进程同时接管过期的锁时应该只有一个持有', async () => {
+    await fs.outputJson(path.join(lockPath, 'owner.json'), { pid: 999999999, hostname: os.hostname() });
+
+    // 两个进程都判断锁已过期，第二个进程在第一个进程重新获取锁之后才移除
+    let bothJudged;
+    let firstAcquired;
+    const judged = new Promise((resolve) => (bothJudged = resolve));
+    const acquired = new Promise((resolve) => (firstAcquired = resolve));
+    let removals = 0;
+    lockUtils.removeStaleLock = async function (...args) {
+      if (++removals === 1) {
+        await judged;
+      } else {
+        bothJudged();
+        await acquired;
+      }
+      return Object.getPrototypeOf(this).removeStaleLock.apply(this, args);
+    };
+
+    let holders = 0;
+    let maxHolders = 0;
+    const task = () =>
+      lockUtils.withLock(
+        lockPath,
+        async () => {
+          holders++;
+          maxHolders = Math.max(maxHolders, holders);
+          firstAcquired();
+          await new Promise((resolve) => setTimeout(resolve, 300));
+          holders--;
+        },
+        { timeout: 5000 }
+      );
+
+    try {
+      await Promise.all([task(), task()]);
+    } finally {
+      delete lockUtils.removeStaleLock;
+    }
+
+    expect(removals).toBe(2);
+    expect(maxHolders).toBe(1);
+    expect(fs.readdirSync(testDir)).toEqual([]);
+  });
+
+  test('锁被接管后释放时不应该删除新的锁', async () => {
+    const release = await lockUtils.acquire(lockPath);
+    await fs.remove(lockPath);
+    await fs.outputJson(path.join(lockPath, 'owner.json'), { pid: process.pid, hostname: os.hostname(), createdAt: 1 });
+
+    await release();
+
+    expect(fs.existsSync(lockPath)).toBe(true);
+  });
+
+  test('等待超时时应该抛出 LOCK_TIMEOUT 错误', async () => {
+    await fs.outputJson(path.join(lockPath, 'owner.json'), { pid: process.pid, hostname: os.hostname() });
+    let waitedFor = null;
+
+    await expect(
+      lockUtils.acquire(lockPath, { timeout: 300, onWait: (owner) => (waitedFor = owner) })
+    ).rejects.toMatchObject({ code: 'LOCK_TIMEOUT' });
+    expect(waitedFor.pid).toBe(process.pid);
+    expect(fs.existsSync(lockPath)).toBe(true);
+  });
+});
@@ -10,6 +10,9 @@ import { fileURLToPath } from 'url';
 import { createProject, validateCreateOptions } from '../lib/commands/create.js';
 import { configCommand, showConfigHelp } from '../lib/commands/config.js';
 import { templateCommand, showTemplateHelp } from '../lib/commands/template.js';
+import { addCommand } from '../lib/commands/add.js';
+import { upgradeCommand } from '../lib/commands/upgrade.js';
+import { cacheCommand, showCacheHelp } from '../lib/commands/cache.js';
 
 // 导入核心模块
 import logger from '../lib/utils/logger.js';
@@ -50,6 +53,7 @@ async function main() {
     program
       .option('--verbose', '显示详细输出')
       .option('--silent', '静默模式，减少输出')
+      .option('--offline', '离线模式，只使用缓存的模板（不检查是否过期）')
       .hook('preAction', (thisCommand, actionCommand) => {
         const options = thisCommand.opts();
 
@@ -78,9 +82,18 @@ async function main() {
       .option('--version <version>', '项目版本', '1.0.0')
       .option('-l, --license <license>', '项目许可证', 'MIT')
       .option('-f, --force', '强制覆盖现有目录')
+      .option('--merge', '合并到现有目录，逐个处理冲突文件')
+      .option('--conflict <action>', '冲突文件处理方式 (overwrite, skip, new)')
       .option('-y, --yes', '跳过交互式询问，使用默认值')
+      .option('--framework <name>', '指定框架；与 -y 一起使用时选择该框架的默认模板 (defaults.<name>)')
       .option('--skip-git', '跳过Git初始化')
       .option('--skip-install', '跳过依赖安装')
+      .option('--dry-run', '预览生成结果，不写入目标目录，不执行模板钩子（仍会加载 terrafe.config.js）')
+      .option('--from <file>', '按项目记录 (.terrafe.json) 或答案文件重新生成项目')
+      .option('--answers <file>', '从 JSON / YAML 文件读取答案')
+      .option('--addons <names>', '添加附加功能，逗号分隔 (如 eslint,prettier,vitest)')
+      .option('--preset <name>', '使用交互式创建时保存的预设')
+      .option('--set <key=value>', '设置答案，支持 a.b 路径和 JSON 值，可重复使用', (value, previous) => [...previous, value], [])
       .action(async (projectName, options) => {
         // 合并全局选项
         const globalOptions = program.opts();
@@ -100,6 +113,33 @@ async function main() {
         await createProject(projectName, mergedOptions);
       });
 
+    // add 命令
+    program
+      .command('add [feature]')
+      .description('为现有项目添加功能')
+      .option('--cwd <dir>', '项目目录，默认为当前目录')
+      .option('-f, --force', '忽略未提交修改检查')
+      .option('-m, --package-manager <pm>', '指定包管理器 (auto, npm, yarn, pnpm)', 'auto')
+      .option('--conflict <action>', '冲突文件处理方式 (overwrite, skip, new)')
+      .option('-y, --yes', '跳过交互式询问，使用默认值')
+      .option('--skip-install', '跳过依赖安装，只写入 package.json')
+      .action(async (feature, options) => {
+        const globalOptions = program.opts();
+        await addCommand(feature, { ...options, ...globalOptions });
+      });
+
+    // upgrade 命令
+    program
+      .command('upgrade')
+      .description('升级项目到模板的最新版本')
+      .option('--cwd <dir>', '项目目录，默认为当前目录')
+      .option('-f, --force', '忽略未提交修改检查')
+      .option('-y, --yes', '新版本模板中新增的询问使用默认值')
+      .action(async (options) => {
+        const globalOptions = program.opts();
+        await upgradeCommand({ ...options, ...globalOptions });
+      });
+
     // config 命令组
     const configCmd = program.command('config').alias('cfg').description('配置管理');
 
@@ -240,14 +280,76 @@ async function main() {
       showTemplateHelp();
     });
 
+    // cache 命令组
+    const cacheCmd = program.command('cache').description('模板缓存管理');
+
+    cacheCmd
+      .command('list')
+      .alias('ls')
+      .description('列出缓存的模板')
+      .action(async (options) => {
+        const globalOptions = program.opts();
+        await cacheCommand('list', null, { ...options, ...globalOptions });
+      });
+
+    cacheCmd
+      .command('info <template>')
+      .description('显示模板的缓存信息（模板名称、仓库地址或缓存键）')
+      .action(async (name, options) => {
+        const globalOptions = program.opts();
+        await cacheCommand('info', name, { ...options, ...globalOptions });
+      });
+
+    cacheCmd
+      .command('verify [template]')
+      .description('校验缓存的完整性，移除损坏的缓存')
+      .action(async (name, options) => {
+        const globalOptions = program.opts();
+        await cacheCommand('verify', name, { ...options, ...globalOptions });
+      });
+
+    cacheCmd
+      .command('clean')
+      .description('清理过期的缓存')
+      .action(async (options) => {
+        const globalOptions = program.opts();
+        await cacheCommand('clean', null, { ...options, ...globalOptions });
+      });
+
+    cacheCmd
+      .command('remove <template>')
+      .alias('rm')
+      .description('移除模板的缓存（模板名称、仓库地址或缓存键）')
+      .action(async (name, options) => {
+        const globalOptions = program.opts();
+        await cacheCommand('remove', name, { ...options, ...globalOptions });
+      });
+
+    cacheCmd
+      .command('clear')
+      .description('清空所有缓存')
+      .option('-f, --force', '确认清空')
+      .action(async (options) => {
+        const globalOptions = program.opts();
+        await cacheCommand('clear', null, { ...options, ...globalOptions });
+      });
+
+    // 添加缓存命令的默认行为
+    cacheCmd.action(() => {
+      showCacheHelp();
+    });
+
     // 自定义帮助信息
     program.on('--help', () => {
       logger.newLine();
       logger.info('示例:');
       logger.info(`  ${chalk.cyan('terrafe create my-app')}                      创建新项目`);
       logger.info(`  ${chalk.cyan('terrafe create my-vue-app -t vue3')}          使用Vue3模板创建项目`);
+      logger.info(`  ${chalk.cyan('terrafe add eslint')}                         为当前项目添加 ESLint`);
+      logger.info(`  ${chalk.cyan('terrafe upgrade')}                            升级项目到模板的最新版本`);
       logger.info(`  ${chalk.cyan('terrafe template add my-vue antfu/vitesse')}  添加自定义模板`);
       logger.info(`  ${chalk.cyan('terrafe template list')}                      查看所有模板`);
+      logger.info(`  ${chalk.cyan('terrafe cache list')}                         查看缓存的模板`);
       logger.info(`  ${chalk.cyan('terrafe config list')}                        查看所有配置`);
       logger.info(`  ${chalk.cyan('terrafe config set packageManager yarn')}    设置包管理器为yarn`);
       logger.newLine();
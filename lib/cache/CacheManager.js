@@ -5,6 +5,80 @@ import download from 'download-git-repo';
 import { promisify } from 'util';
 import logger from '../utils/logger.js';
 import fileUtils from '../utils/file.js';
+import lockUtils from '../utils/lock.js';
+import gitUtils from '../utils/git.js';
+
+/**
+ * 缓存目录中的缓存项：以缓存键命名的元数据文件，以及旧版本缓存以缓存键命名的模板目录
+ */
+const CACHE_ENTRY_PATTERN = /^[0-9a-f]{32}(\.meta\.json)?$/;
+
+/**
+ * 写入元数据时使用的临时文件
+ */
+const METADATA_TEMP_PATTERN = /\.meta\.json\.\d+\.tmp$/;
+
+/**
+ * 按内容哈希存放模板目录的子目录，内容相同的模板（如通过不同地址下载）只保存一份
+ */
+const CONTENT_DIR = 'content';
+
+/**
+ * 下载中的临时目录前缀，下载完成并计算哈希后才移入 content 目录
+ */
+const DOWNLOAD_DIR_PREFIX = '.download-';
+
+/**
+ * 超过此时间的下载临时目录视为中断的下载，清理缓存时移除
+ */
+const STALE_DOWNLOAD_TIME = 3600000; // 1小时
+
+/**
+ * 等待其他进程下载同一模板的超时时间
+ */
+const LOCK_TIMEOUT = 600000; // 10分钟
+
+/**
+ * 查询模板提交的超时时间，超时后按原地址下载，不固定提交
+ */
+const RESOLVE_COMMIT_TIMEOUT = 5000; // 5秒
+
+/**
+ * 整个缓存目录的锁，写入、移除共用的内容目录时持有；需要同时持有缓存项的锁时先获取缓存项的锁
+ */
+const CACHE_LOCK = '.cache.lock';
+
+/**
+ * 格式化时间距今的时长
+ * @param {number|null} timestamp 时间戳
+ * @returns {string} 如 "3 小时前"
+ */
+export function formatAge(timestamp) {
+  if (!timestamp) {
+    return '未知';
+  }
+
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) {
+    return '刚刚';
+  }
+  if (minutes < 60) {
+    return `${minutes} 分钟前`;
+  }
+  if (minutes < 60 * 24) {
+    return `${Math.floor(minutes / 60)} 小时前`;
+  }
+  return `${Math.floor(minutes / (60 * 24))} 天前`;
+}
+
+/**
+ * 计算缓存项占用的总大小，共用模板目录的缓存项只计算一次
+ * @param {Array<Object>} items 缓存项
+ * @returns {number} 字节数
+ */
+export function getTotalSize(items) {
+  return [...new Map(items.map((item) => [item.path, item.size])).values()].reduce((sum, size) => sum + size, 0);
+}
 
 /**
  * 缓存管理器
@@ -15,6 +89,8 @@ class CacheManager {
     this.config = config;
     this.cacheDir = config.get('templates.cacheDir');
     this.cacheTime = config.get('templates.cacheTime', 86400000); // 24小时
+    this.cacheMaxSize = fileUtils.parseSize(config.get('templates.cacheMaxSize', 0)) || 0; // 0 表示不限制
+    this.offline = config.get('templates.offline', false);
     this.downloadGitRepo = promisify(download);
   }
 
@@ -49,6 +125,63 @@ class CacheManager {
     return path.join(this.cacheDir, cacheKey);
   }
 
+  /**
+   * 获取按内容哈希存放的模板目录
+   * @param {string} hash 模板内容的 sha256 哈希
+   * @returns {string} 模板目录
+   */
+  getContentPath(hash) {
+    return path.join(this.cacheDir, CONTENT_DIR, hash);
+  }
+
+  /**
+   * 获取缓存项的模板目录
+   * 元数据中的哈希对应的内容目录存在时使用该目录，否则为旧版本缓存以缓存键命名的目录
+   * @param {string} cacheKey 缓存键
+   * @param {Object|null} metadata 元数据
+   * @returns {string} 模板目录
+   */
+  getItemPath(cacheKey, metadata) {
+    const contentPath = metadata?.hash && this.getContentPath(metadata.hash);
+    return contentPath && fileUtils.exists(contentPath) ? contentPath : this.getCachePath(cacheKey);
+  }
+
+  /**
+   * 获取缓存项的锁路径，下载同一模板的进程通过该锁互斥
+   * @param {string} cacheKey 缓存键
+   * @returns {string} 锁目录路径
+   */
+  getLockPath(cacheKey) {
+    return path.join(this.cacheDir, `${cacheKey}.lock`);
+  }
+
+  /**
+   * 持有整个缓存目录的锁执行函数
+   * 内容目录可能被多个缓存项共用，写入、移除、淘汰和清理缓存时持有，避免移除其他进程刚写入的内容目录
+   * @param {Function} fn 要执行的函数
+   * @returns {Promise<any>} 函数的返回值
+   */
+  async withCacheLock(fn) {
+    await this.initCacheDir();
+    return await lockUtils.withLock(path.join(this.cacheDir, CACHE_LOCK), fn);
+  }
+
+  /**
+   * 尝试获取缓存项的锁，不等待
+   * @param {string} cacheKey 缓存键
+   * @returns {Promise<Function|null>} 释放锁的函数，缓存项正在被其他进程下载时返回 null
+   */
+  async tryLockCacheItem(cacheKey) {
+    try {
+      return await lockUtils.acquire(this.getLockPath(cacheKey), { timeout: 0 });
+    } catch (error) {
+      if (error.code === 'LOCK_TIMEOUT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   /**
    * 获取缓存元数据路径
    * @param {string} cacheKey 缓存键
@@ -61,25 +194,30 @@ class CacheManager {
   /**
    * 检查缓存是否存在且有效
    * @param {string} repoUrl 仓库URL
+   * @param {Object} options 选项
+   * @param {boolean} options.allowExpired 过期的缓存也视为有效
    * @returns {Promise<boolean>} 缓存是否有效
    */
-  async isCacheValid(repoUrl) {
+  async isCacheValid(repoUrl, { allowExpired = false } = {}) {
     const cacheKey = this.generateCacheKey(repoUrl);
-    const cachePath = this.getCachePath(cacheKey);
     const metadataPath = this.getMetadataPath(cacheKey);
 
-    // 检查缓存目录和元数据文件是否存在
-    if (!fileUtils.exists(cachePath) || !fileUtils.exists(metadataPath)) {
+    // 检查元数据文件是否存在
+    if (!fileUtils.exists(metadataPath)) {
       return false;
     }
 
     try {
-      // 读取元数据
+      // 读取元数据并检查模板目录是否存在
       const metadata = await this.getMetadata(cacheKey);
+      if (!fileUtils.exists(this.getItemPath(cacheKey, metadata))) {
+        return false;
+      }
+
       const now = Date.now();
 
       // 检查是否过期
-      if (now - metadata.cachedAt > this.cacheTime) {
+      if (!allowExpired && now - metadata.cachedAt > this.cacheTime) {
         logger.debug(`缓存已过期: ${repoUrl}`);
         return false;
       }
@@ -94,19 +232,109 @@ class CacheManager {
   /**
    * 获取缓存的模板路径
    * @param {string} repoUrl 仓库URL
+   * @param {Object} options 选项，同 isCacheValid
    * @returns {Promise<string|null>} 缓存路径，如果不存在则返回null
    */
-  async getCachedTemplate(repoUrl) {
-    const isValid = await this.isCacheValid(repoUrl);
+  async getCachedTemplate(repoUrl, options = {}) {
+    const isValid = await this.isCacheValid(repoUrl, options);
     if (!isValid) {
       return null;
     }
 
     const cacheKey = this.generateCacheKey(repoUrl);
-    const cachePath = this.getCachePath(cacheKey);
+
+    // 校验模板内容，下载中断或被修改的缓存移除后重新下载
+    if (!(await this.checkCacheItem(cacheKey))) {
+      logger.warn(`缓存的模板已损坏，将重新下载: ${repoUrl}`);
+      await lockUtils.withLock(
+        this.getLockPath(cacheKey),
+        async () => {
+          // 等待锁期间其他进程可能已经重新下载了该模板
+          if (!(await this.verifyCacheItem(cacheKey))) {
+            await this.withCacheLock(() => this.deleteCacheItem(cacheKey));
+          }
+        },
+        { timeout: LOCK_TIMEOUT }
+      );
+      return null;
+    }
 
     logger.debug(`使用缓存的模板: ${repoUrl}`);
-    return cachePath;
+    await this.touchCacheItem(cacheKey);
+    return this.getItemPath(cacheKey, await this.getMetadata(cacheKey));
+  }
+
+  /**
+   * 读取缓存时检查缓存项的完整性
+   * 模板目录的总大小和最新修改时间与元数据中记录的一致时视为未被修改，不读取文件内容；
+   * 不一致（或旧版本缓存没有记录）时重新计算哈希校验，校验通过后更新记录
+   * @param {string} cacheKey 缓存键
+   * @returns {Promise<boolean>} 是否完整
+   */
+  async checkCacheItem(cacheKey) {
+    try {
+      const metadata = await this.getMetadata(cacheKey);
+      const itemPath = this.getItemPath(cacheKey, metadata);
+
+      if (!fileUtils.exists(itemPath)) {
+        return false;
+      }
+
+      const { size, mtimeMs } = await fileUtils.getDirectoryStats(itemPath);
+      if (metadata.hash && metadata.size === size && metadata.mtime === mtimeMs) {
+        return true;
+      }
+
+      logger.debug(`缓存的模板目录有变化，重新校验: ${cacheKey}`);
+      if (!(await this.verifyCacheItem(cacheKey))) {
+        return false;
+      }
+
+      // 等待锁期间内容目录可能已被其他进程替换，只在仍是校验过的目录时记录
+      await this.updateMetadata(cacheKey, async (latest) =>
+        this.getItemPath(cacheKey, latest) === itemPath ? await this.getContentStats(itemPath) : null
+      );
+      return true;
+    } catch (error) {
+      logger.debug(`校验缓存失败: ${cacheKey} ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 获取元数据中记录的模板目录总大小和最新修改时间
+   * @param {string} itemPath 模板目录
+   * @returns {Promise<Object>} { size, mtime }
+   */
+  async getContentStats(itemPath) {
+    const { size, mtimeMs } = await fileUtils.getDirectoryStats(itemPath);
+    return { size, mtime: mtimeMs };
+  }
+
+  /**
+   * 校验缓存项的完整性：重新计算模板目录的内容哈希并与元数据中的哈希比较
+   * 旧版本缓存的元数据中没有哈希时无法校验，计算后写回
+   * @param {string} cacheKey 缓存键
+   * @returns {Promise<boolean>} 是否完整
+   */
+  async verifyCacheItem(cacheKey) {
+    try {
+      const metadata = await this.getMetadata(cacheKey);
+      const itemPath = this.getItemPath(cacheKey, metadata);
+
+      if (!fileUtils.exists(itemPath)) {
+        return false;
+      }
+      if (!metadata.hash) {
+        await this.getTemplateHash(metadata.repoUrl);
+        return true;
+      }
+
+      return (await fileUtils.hashDirectory(itemPath)) === metadata.hash;
+    } catch (error) {
+      logger.debug(`校验缓存失败: ${cacheKey} ${error.message}`);
+      return false;
+    }
   }
 
   /**
@@ -117,19 +345,51 @@ class CacheManager {
    */
   async downloadAndCache(repoUrl, options = {}) {
     const cacheKey = this.generateCacheKey(repoUrl);
-    const cachePath = this.getCachePath(cacheKey);
-    const metadataPath = this.getMetadataPath(cacheKey);
+    const requestedAt = Date.now();
 
     // 确保缓存目录存在
     await this.initCacheDir();
 
-    // 如果缓存目录已存在，先清理
-    if (fileUtils.exists(cachePath)) {
-      await fileUtils.remove(cachePath);
-    }
+    // 同一模板同时只由一个进程下载，其他进程等待
+    const lockOptions = {
+      timeout: LOCK_TIMEOUT,
+      onWait: () => logger.info(`其他进程正在下载模板，等待完成: ${repoUrl}`),
+    };
+
+    return await lockUtils.withLock(
+      this.getLockPath(cacheKey),
+      async () => {
+        // 等待期间其他进程已经下载了同一模板时直接使用
+        const metadata = await this.getMetadata(cacheKey).catch(() => null);
+        if (metadata?.cachedAt >= requestedAt && (await this.verifyCacheItem(cacheKey))) {
+          logger.debug(`使用其他进程刚下载的模板: ${repoUrl}`);
+          return this.getItemPath(cacheKey, metadata);
+        }
+
+        return await this.populateCache(repoUrl, options);
+      },
+      lockOptions
+    );
+  }
+
+  /**
+   * 下载模板并写入缓存，调用时需要持有该缓存键的锁
+   * @param {string} repoUrl 仓库URL
+   * @param {Object} options 下载选项
+   * @returns {Promise<string>} 缓存路径
+   */
+  async populateCache(repoUrl, options = {}) {
+    const cacheKey = this.generateCacheKey(repoUrl);
+
+    // 先下载到临时目录，下载中断时不会留下被当作有效缓存的不完整目录，已有的缓存也保持不变
+    const downloadPath = path.join(this.cacheDir, `${DOWNLOAD_DIR_PREFIX}${cacheKey}-${process.pid}-${Date.now()}`);
+
+    // 下载前查询分支当前的提交并固定到该提交下载，缓存的内容与元数据中的 commit 一致
+    // 无法查询时（如非 GitHub 仓库、API 不可用）按原地址下载，commit 记为 null
+    const commit = await this.resolveCommit(repoUrl);
 
     // 解析Git仓库URL
-    const gitUrl = this.parseGitUrl(repoUrl);
+    const gitUrl = this.parseGitUrl((commit && this.pinRepoUrl(repoUrl, commit)) || repoUrl);
 
     try {
       logger.info(`正在下载模板: ${repoUrl}`);
@@ -140,33 +400,63 @@ class CacheManager {
       const downloadOptions = gitUrl.startsWith('direct:') ? {} : { clone: true };
 
       // 下载模板
-      await this.downloadGitRepo(gitUrl, cachePath, downloadOptions);
+      await this.downloadGitRepo(gitUrl, downloadPath, downloadOptions);
 
       // 如果是direct下载且包含子目录，需要提取子目录
       if (gitUrl.startsWith('direct:') && gitUrl.includes('#')) {
         const subdirectory = gitUrl.split('#')[1];
         if (subdirectory) {
-          await this.extractSubdirectory(cachePath, subdirectory);
+          await this.extractSubdirectory(downloadPath, subdirectory);
         }
       }
 
-      // 保存元数据
+      // 元数据：commit 为下载时固定的提交；hash 为模板内容的 sha256，用于定位和校验模板目录、记录生成项目所用的模板版本；
+      // size 为目录中所有文件的总大小，mtime 为放入内容目录后目录中最新的修改时间，两者不变时读取缓存不再重新计算哈希
+      const hash = await fileUtils.hashDirectory(downloadPath);
+      const contentPath = this.getContentPath(hash);
+      const cachedAt = Date.now();
       const metadata = {
         repoUrl,
-        cachedAt: Date.now(),
+        cachedAt,
+        lastUsedAt: cachedAt,
         cacheKey,
+        commit,
+        hash,
+        size: await fileUtils.getDirectorySize(downloadPath),
         ...options,
       };
 
-      await fileUtils.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      await this.withCacheLock(async () => {
+        const previous = await this.getMetadata(cacheKey).catch(() => null);
+
+        // 先写入元数据再放入内容目录，清理缓存时不会把刚放入的目录当作没有引用的目录移除
+        await this.writeMetadata(cacheKey, metadata);
+
+        // 按内容哈希存放，已有内容相同且完整的目录时直接复用
+        if (fileUtils.exists(contentPath) && (await fileUtils.hashDirectory(contentPath)) === hash) {
+          logger.debug(`模板内容与已有缓存相同，复用: ${contentPath}`);
+          await fileUtils.remove(downloadPath);
+        } else {
+          await fileUtils.remove(contentPath);
+          await fileUtils.move(downloadPath, contentPath);
+        }
+        await this.writeMetadata(cacheKey, { ...metadata, ...(await this.getContentStats(contentPath)) });
+
+        // 移除旧版本缓存以缓存键命名的目录，以及不再使用的上一次下载的内容
+        await this.removeUnreferencedContent(this.getCachePath(cacheKey), cacheKey);
+        if (previous?.hash && previous.hash !== hash) {
+          await this.removeUnreferencedContent(this.getContentPath(previous.hash), cacheKey);
+        }
+      });
 
       logger.success(`模板下载完成: ${repoUrl}`);
-      return cachePath;
+      await this.evictCache(cacheKey);
+      return contentPath;
     } catch (error) {
       logger.error(`模板下载失败: ${error.message}`);
       logger.debug(`详细错误信息:`, error);
       logger.debug(`尝试下载的URL: ${gitUrl}`);
-      logger.debug(`目标路径: ${cachePath}`);
+      logger.debug(`目标路径: ${downloadPath}`);
 
       // 提供针对性的错误建议
       if (error.message.includes('git checkout')) {
@@ -187,12 +477,9 @@ class CacheManager {
         logger.error('3. 网络是否可以访问 GitHub');
       }
 
-      // 清理失败的缓存
-      if (fileUtils.exists(cachePath)) {
-        await fileUtils.remove(cachePath);
-      }
-      if (fileUtils.exists(metadataPath)) {
-        await fileUtils.remove(metadataPath);
+      // 清理下载的临时目录
+      if (fileUtils.exists(downloadPath)) {
+        await fileUtils.remove(downloadPath);
       }
 
       throw error;
@@ -243,7 +530,7 @@ class CacheManager {
     }
 
     // 如果已经是 owner/repo 格式，转换为direct方式
-    if (repoUrl.match(/^[^\/]+\/[^\/]+$/)) {
+    if (repoUrl.match(/^[^\/#]+\/[^\/#]+$/)) {
       const zipUrl = `https://github.com/${repoUrl}/archive/main.zip`;
       return `direct:${zipUrl}`;
     }
@@ -272,6 +559,88 @@ class CacheManager {
     return repoUrl;
   }
 
+  /**
+   * 解析 GitHub 仓库地址中的仓库、分支和子目录
+   * 支持 owner/repo、owner/repo#branch、owner/repo#branch:subdirectory 以及 github.com 的 tree 链接
+   * @param {string} repoUrl 仓库URL
+   * @returns {{repo: string, ref: string, subdirectory: string}|null} 解析结果，无法解析时返回null
+   */
+  parseRepoSpec(repoUrl) {
+    const specMatch = repoUrl.match(/^([^/:#]+\/[^/:#]+)(?:#([^:]+)(?::(.+))?)?$/);
+    if (specMatch) {
+      const [, repo, ref = 'main', subdirectory = ''] = specMatch;
+      return { repo, ref, subdirectory };
+    }
+
+    const urlMatch = repoUrl.match(/^https?:\/\/github\.com\/([^/]+\/[^/]+?)(?:\.git)?(?:\/tree\/([^/]+)\/?(.*))?$/);
+    if (urlMatch) {
+      const [, repo, ref = 'main', subdirectory = ''] = urlMatch;
+      return { repo, ref, subdirectory };
+    }
+
+    return null;
+  }
+
+  /**
+   * 生成指向指定提交的仓库地址
+   * @param {string} repoUrl 仓库URL
+   * @param {string} commit 提交哈希
+   * @returns {string|null} owner/repo#commit[:subdirectory]，无法解析时返回null
+   */
+  pinRepoUrl(repoUrl, commit) {
+    const spec = this.parseRepoSpec(repoUrl);
+    if (!spec) {
+      return null;
+    }
+
+    return `${spec.repo}#${commit}${spec.subdirectory ? `:${spec.subdirectory}` : ''}`;
+  }
+
+  /**
+   * 查询仓库分支当前的提交哈希
+   * 优先使用 git ls-remote（不受 GitHub API 的频率限制），查询不到时（如 ref 为缩写的提交哈希）再使用 GitHub API，
+   * 设置了 GITHUB_TOKEN 时使用该令牌认证
+   * @param {string} repoUrl 仓库URL
+   * @returns {Promise<string|null>} 提交哈希，查询失败时返回null
+   */
+  async resolveCommit(repoUrl) {
+    const spec = this.parseRepoSpec(repoUrl);
+    if (!spec) {
+      return null;
+    }
+    if (/^[0-9a-f]{40}$/.test(spec.ref)) {
+      return spec.ref;
+    }
+
+    const remoteCommit = await gitUtils.getRemoteCommit(`https://github.com/${spec.repo}.git`, spec.ref, {
+      timeout: RESOLVE_COMMIT_TIMEOUT,
+    });
+    if (remoteCommit) {
+      return remoteCommit;
+    }
+
+    try {
+      const token = process.env.GITHUB_TOKEN;
+      const response = await fetch(`https://api.github.com/repos/${spec.repo}/commits/${spec.ref}`, {
+        headers: {
+          Accept: 'application/vnd.github.sha',
+          'User-Agent': 'terrafe',
+          ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        signal: AbortSignal.timeout(RESOLVE_COMMIT_TIMEOUT),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const commit = (await response.text()).trim();
+      return /^[0-9a-f]{40}$/.test(commit) ? commit : null;
+    } catch (error) {
+      logger.debug(`查询模板提交失败: ${repoUrl} ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * 获取缓存元数据
    * @param {string} cacheKey 缓存键
@@ -288,16 +657,166 @@ class CacheManager {
     return JSON.parse(content);
   }
 
+  /**
+   * 写入缓存元数据，调用时需要持有缓存锁
+   * 先写入临时文件再移动到元数据路径，其他进程不会读到写了一半的元数据
+   * @param {string} cacheKey 缓存键
+   * @param {Object} metadata 元数据
+   */
+  async writeMetadata(cacheKey, metadata) {
+    const metadataPath = this.getMetadataPath(cacheKey);
+    const tempFile = `${metadataPath}.${process.pid}.tmp`;
+
+    await fileUtils.writeFile(tempFile, JSON.stringify(metadata, null, 2));
+    await fs.move(tempFile, metadataPath, { overwrite: true });
+  }
+
+  /**
+   * 在缓存锁内重新读取元数据并更新部分字段，不会覆盖其他进程同时写入的元数据
+   * @param {string} cacheKey 缓存键
+   * @param {Function} update 参数为最新的元数据，返回要更新的字段，返回 null 时不更新
+   */
+  async updateMetadata(cacheKey, update) {
+    await this.withCacheLock(async () => {
+      const metadata = await this.getMetadata(cacheKey);
+      const fields = await update(metadata);
+      if (fields) {
+        await this.writeMetadata(cacheKey, { ...metadata, ...fields });
+      }
+    });
+  }
+
+  /**
+   * 记录缓存项的最近使用时间，用于超过缓存大小上限时按最近使用时间清理
+   * @param {string} cacheKey 缓存键
+   */
+  async touchCacheItem(cacheKey) {
+    try {
+      await this.updateMetadata(cacheKey, () => ({ lastUsedAt: Date.now() }));
+    } catch (error) {
+      logger.debug(`更新缓存使用时间失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 缓存总大小超过 templates.cacheMaxSize 时，按最近使用时间从旧到新移除缓存项
+   * @param {string} keepKey 不移除的缓存键（刚下载的模板）
+   * @returns {Promise<Array<Object>>} 移除的缓存项
+   */
+  async evictCache(keepKey) {
+    if (!this.cacheMaxSize) {
+      return [];
+    }
+
+    return await this.withCacheLock(() => this.evictUnlocked(keepKey));
+  }
+
+  /**
+   * 按最近使用时间淘汰缓存，调用时需要持有缓存锁
+   * @param {string} keepKey 保留的缓存键
+   * @returns {Promise<Array<Object>>} 被移除的缓存项
+   */
+  async evictUnlocked(keepKey) {
+    let items = await this.listCacheItems();
+    const candidates = items
+      .filter((item) => item.cacheKey !== keepKey)
+      .sort((a, b) => (a.lastUsedAt || 0) - (b.lastUsedAt || 0));
+    const evicted = [];
+
+    // 内容相同的缓存项共用模板目录，只有最后一个使用者被移除时才释放空间
+    for (const item of candidates) {
+      if (getTotalSize(items) <= this.cacheMaxSize) {
+        break;
+      }
+
+      // 正在被其他进程下载的缓存项跳过
+      const release = await this.tryLockCacheItem(item.cacheKey);
+      if (!release) {
+        continue;
+      }
+      try {
+        if (await this.deleteCacheItem(item.cacheKey)) {
+          items = items.filter((other) => other.cacheKey !== item.cacheKey);
+          evicted.push(item);
+        }
+      } finally {
+        await release();
+      }
+    }
+
+    if (evicted.length > 0) {
+      logger.info(
+        `缓存超过上限 ${fileUtils.formatSize(this.cacheMaxSize)}，已移除 ${evicted.length} 个最久未使用的模板`
+      );
+    }
+
+    return evicted;
+  }
+
+  /**
+   * 获取已缓存模板的内容哈希
+   * 旧版本缓存的元数据中没有哈希时重新计算并写回
+   * @param {string} repoUrl 仓库URL
+   * @returns {Promise<string|null>} sha256 哈希，未缓存时返回null
+   */
+  async getTemplateHash(repoUrl) {
+    const cacheKey = this.generateCacheKey(repoUrl);
+
+    try {
+      const metadata = await this.getMetadata(cacheKey);
+      const itemPath = this.getItemPath(cacheKey, metadata);
+      if (!fileUtils.exists(itemPath)) {
+        return null;
+      }
+
+      if (!metadata.hash) {
+        const hash = await fileUtils.hashDirectory(itemPath);
+        // 其他进程可能已经重新下载并写入了新的哈希
+        await this.updateMetadata(cacheKey, (latest) => (latest.hash ? null : { hash }));
+        return hash;
+      }
+      return metadata.hash;
+    } catch (error) {
+      logger.debug(`读取模板哈希失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 获取已缓存模板下载时固定的提交哈希
+   * @param {string} repoUrl 仓库URL
+   * @returns {Promise<string|null>} 提交哈希，未缓存或下载时无法查询提交时返回null
+   */
+  async getTemplateCommit(repoUrl) {
+    try {
+      return (await this.getMetadata(this.generateCacheKey(repoUrl))).commit || null;
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * 获取模板（优先使用缓存）
+   * 离线模式只使用缓存的模板，不检查是否过期；下载失败时使用过期的缓存
    * @param {string} repoUrl 仓库URL
    * @param {Object} options 选项
+   * @param {boolean} options.offline 离线模式，默认使用配置中的 templates.offline
    * @returns {Promise<string>} 模板路径
    */
   async getTemplate(repoUrl, options = {}) {
+    const { offline = this.offline, ...downloadOptions } = options;
+
+    if (offline) {
+      const cachedPath = await this.getCachedTemplate(repoUrl, { allowExpired: true });
+      if (!cachedPath) {
+        throw new Error(`离线模式下没有找到模板的缓存: ${repoUrl}`);
+      }
+      return cachedPath;
+    }
+
     // 如果禁用缓存，直接下载
     if (!this.config.get('templates.cache', true)) {
-      return await this.downloadAndCache(repoUrl, options);
+      return await this.downloadWithFallback(repoUrl, downloadOptions);
     }
 
     // 尝试获取缓存
@@ -307,8 +826,29 @@ class CacheManager {
     }
 
     // 缓存不存在或已过期，重新下载
-    console.log('debuge 重新下载模板', repoUrl, options);
-    return await this.downloadAndCache(repoUrl, options);
+    logger.debug(`缓存不存在或已过期，重新下载模板: ${repoUrl}`);
+    return await this.downloadWithFallback(repoUrl, downloadOptions);
+  }
+
+  /**
+   * 下载并缓存模板，下载失败（如网络不可用）时使用过期的缓存
+   * @param {string} repoUrl 仓库URL
+   * @param {Object} options 下载选项
+   * @returns {Promise<string>} 模板路径
+   */
+  async downloadWithFallback(repoUrl, options = {}) {
+    try {
+      return await this.downloadAndCache(repoUrl, options);
+    } catch (error) {
+      const cachedPath = await this.getCachedTemplate(repoUrl, { allowExpired: true });
+      if (!cachedPath) {
+        throw error;
+      }
+
+      const { cachedAt } = await this.getMetadata(this.generateCacheKey(repoUrl));
+      logger.warn(`模板下载失败，使用 ${formatAge(cachedAt)}缓存的模板: ${repoUrl}`);
+      return cachedPath;
+    }
   }
 
   /**
@@ -316,8 +856,14 @@ class CacheManager {
    * @returns {Promise<number>} 清理的缓存数量
    */
   async cleanExpiredCache() {
-    await this.initCacheDir();
+    return await this.withCacheLock(() => this.cleanExpiredUnlocked());
+  }
 
+  /**
+   * 清理过期缓存，调用时需要持有缓存锁
+   * @returns {Promise<number>} 清理的缓存数量
+   */
+  async cleanExpiredUnlocked() {
     const files = await fileUtils.readDir(this.cacheDir);
     const metadataFiles = files.filter((file) => file.endsWith('.meta.json'));
 
@@ -330,8 +876,17 @@ class CacheManager {
         const now = Date.now();
 
         if (now - metadata.cachedAt > this.cacheTime) {
-          await this.removeCacheItem(cacheKey);
-          cleanedCount++;
+          // 正在被其他进程下载的缓存项跳过
+          const release = await this.tryLockCacheItem(cacheKey);
+          if (!release) {
+            continue;
+          }
+          try {
+            await this.deleteCacheItem(cacheKey);
+            cleanedCount++;
+          } finally {
+            await release();
+          }
         }
       } catch (error) {
         logger.debug(`清理缓存时出错: ${error.message}`);
@@ -342,6 +897,7 @@ class CacheManager {
       logger.info(`已清理 ${cleanedCount} 个过期缓存`);
     }
 
+    await this.pruneCacheDir();
     return cleanedCount;
   }
 
@@ -351,8 +907,32 @@ class CacheManager {
    */
   async clearAllCache() {
     try {
-      if (fileUtils.exists(this.cacheDir)) {
-        await fileUtils.remove(this.cacheDir);
+      if (!fileUtils.exists(this.cacheDir)) {
+        return true;
+      }
+
+      // 不直接删除缓存目录：其他进程持有的锁目录和正在下载的临时目录需要保留
+      const skipped = await this.withCacheLock(async () => {
+        let busy = 0;
+        for (const item of await this.listCacheItems()) {
+          const release = await this.tryLockCacheItem(item.cacheKey);
+          if (!release) {
+            busy++;
+            continue;
+          }
+          try {
+            await this.deleteCacheItem(item.cacheKey);
+          } finally {
+            await release();
+          }
+        }
+        await this.pruneCacheDir();
+        return busy;
+      });
+
+      if (skipped > 0) {
+        logger.warn(`${skipped} 个模板正在被其他进程下载，未清理`);
+      } else {
         logger.info('所有缓存已清理');
       }
       return true;
@@ -363,23 +943,44 @@ class CacheManager {
   }
 
   /**
-   * 移除指定缓存项
+   * 移除指定缓存项，等待正在进行的下载完成后移除
    * @param {string} cacheKey 缓存键
    * @returns {Promise<boolean>} 移除结果
    */
   async removeCacheItem(cacheKey) {
+    await this.initCacheDir();
+    return await lockUtils.withLock(
+      this.getLockPath(cacheKey),
+      () => this.withCacheLock(() => this.deleteCacheItem(cacheKey)),
+      { timeout: LOCK_TIMEOUT }
+    );
+  }
+
+  /**
+   * 移除指定缓存项的元数据和模板目录，调用时需要持有该缓存项的锁和缓存锁
+   * @param {string} cacheKey 缓存键
+   * @returns {Promise<boolean>} 移除结果
+   */
+  async deleteCacheItem(cacheKey) {
     try {
-      const cachePath = this.getCachePath(cacheKey);
       const metadataPath = this.getMetadataPath(cacheKey);
-
-      if (fileUtils.exists(cachePath)) {
-        await fileUtils.remove(cachePath);
+      let metadata = null;
+      try {
+        metadata = await this.getMetadata(cacheKey);
+      } catch {
+        // 元数据缺失或损坏时只移除以缓存键命名的目录
       }
 
       if (fileUtils.exists(metadataPath)) {
         await fileUtils.remove(metadataPath);
       }
 
+      // 内容目录可能被其他缓存项共用，没有其他缓存项使用时才移除
+      await fileUtils.remove(this.getCachePath(cacheKey));
+      if (metadata?.hash) {
+        await this.removeUnreferencedContent(this.getContentPath(metadata.hash), cacheKey);
+      }
+
       return true;
     } catch (error) {
       logger.error(`移除缓存项失败: ${error.message}`);
@@ -387,50 +988,140 @@ class CacheManager {
     }
   }
 
+  /**
+   * 没有其他缓存项使用时移除模板目录，调用时需要持有缓存锁
+   * @param {string} itemPath 模板目录
+   * @param {string} cacheKey 正在移除或更新的缓存键，不计入使用者
+   * @returns {Promise<boolean>} 是否已移除
+   */
+  async removeUnreferencedContent(itemPath, cacheKey) {
+    if (!fileUtils.exists(itemPath)) {
+      return false;
+    }
+
+    const items = await this.listCacheItems();
+    if (items.some((item) => item.cacheKey !== cacheKey && item.path === itemPath)) {
+      return false;
+    }
+
+    await fileUtils.remove(itemPath);
+    return true;
+  }
+
+  /**
+   * 清理缓存目录中不再使用的内容：没有元数据引用的内容目录，以及中断的下载留下的临时目录
+   * 调用时需要持有缓存锁
+   * @returns {Promise<number>} 清理的目录数量
+   */
+  async pruneCacheDir() {
+    const contentDir = path.join(this.cacheDir, CONTENT_DIR);
+    const referenced = new Set((await this.listCacheItems()).map((item) => item.path));
+    const staleBefore = Date.now() - STALE_DOWNLOAD_TIME;
+    let prunedCount = 0;
+
+    if (fileUtils.exists(contentDir)) {
+      for (const hash of await fileUtils.readDir(contentDir)) {
+        if (!referenced.has(this.getContentPath(hash))) {
+          await fileUtils.remove(this.getContentPath(hash));
+          prunedCount++;
+        }
+      }
+    }
+
+    // 正在进行的下载也使用临时目录，只清理较早的；元数据的临时文件只在持有缓存锁时存在，此时都是异常退出留下的
+    for (const file of await fileUtils.readDir(this.cacheDir)) {
+      const filePath = path.join(this.cacheDir, file);
+      if (METADATA_TEMP_PATTERN.test(file)) {
+        await fileUtils.remove(filePath);
+        prunedCount++;
+      } else if (file.startsWith(DOWNLOAD_DIR_PREFIX) && (await fileUtils.stat(filePath)).mtimeMs < staleBefore) {
+        await fileUtils.remove(filePath);
+        prunedCount++;
+      }
+    }
+
+    if (prunedCount > 0) {
+      logger.debug(`已清理 ${prunedCount} 个未使用的缓存目录`);
+    }
+
+    return prunedCount;
+  }
+
   /**
    * 获取缓存统计信息
    * @returns {Promise<Object>} 缓存统计
    */
   async getCacheStats() {
+    const items = await this.listCacheItems();
+
+    return {
+      totalItems: items.length,
+      totalSize: getTotalSize(items),
+      expiredItems: items.filter((item) => item.expired).length,
+      maxSize: this.cacheMaxSize,
+    };
+  }
+
+  /**
+   * 列出所有缓存项
+   * 元数据缺失或无法解析的缓存项（如下载中断留下的目录）也会列出，broken 为 true
+   * @returns {Promise<Array<Object>>} 缓存项（元数据，以及 cacheKey、path、size、expired、broken），按缓存时间倒序
+   */
+  async listCacheItems() {
     if (!fileUtils.exists(this.cacheDir)) {
-      return {
-        totalItems: 0,
-        totalSize: 0,
-        expiredItems: 0,
-      };
+      return [];
     }
 
     const files = await fileUtils.readDir(this.cacheDir);
-    const metadataFiles = files.filter((file) => file.endsWith('.meta.json'));
-
-    let totalSize = 0;
-    let expiredItems = 0;
+    const cacheKeys = [
+      ...new Set(files.filter((file) => CACHE_ENTRY_PATTERN.test(file)).map((file) => file.replace('.meta.json', ''))),
+    ];
     const now = Date.now();
+    const items = [];
 
-    for (const file of files) {
-      const filePath = path.join(this.cacheDir, file);
-      const stats = await fileUtils.stat(filePath);
-      totalSize += stats.size;
-    }
+    for (const cacheKey of cacheKeys) {
+      let metadata = null;
 
-    for (const metadataFile of metadataFiles) {
       try {
-        const cacheKey = metadataFile.replace('.meta.json', '');
-        const metadata = await this.getMetadata(cacheKey);
-
-        if (now - metadata.cachedAt > this.cacheTime) {
-          expiredItems++;
-        }
+        metadata = await this.getMetadata(cacheKey);
       } catch (error) {
-        // 忽略错误的元数据文件
+        logger.debug(`读取缓存元数据失败: ${cacheKey} ${error.message}`);
       }
+
+      const itemPath = this.getItemPath(cacheKey, metadata);
+      items.push({
+        ...metadata,
+        cacheKey,
+        repoUrl: metadata?.repoUrl || null,
+        cachedAt: metadata?.cachedAt || null,
+        lastUsedAt: metadata?.lastUsedAt || metadata?.cachedAt || null,
+        path: itemPath,
+        // 旧版本缓存的元数据中没有大小时重新计算
+        size: metadata?.size ?? (fileUtils.exists(itemPath) ? await fileUtils.getDirectorySize(itemPath) : 0),
+        expired: !metadata || now - metadata.cachedAt > this.cacheTime,
+        broken: !metadata || !fileUtils.exists(itemPath),
+      });
     }
 
-    return {
-      totalItems: metadataFiles.length,
-      totalSize,
-      expiredItems,
+    return items.sort((a, b) => (b.cachedAt || 0) - (a.cachedAt || 0));
+  }
+
+  /**
+   * 查找缓存项
+   * 仓库地址相同、或仓库和子目录相同（同一模板固定到不同提交的缓存）的缓存项都会匹配
+   * @param {string} query 仓库地址或缓存键
+   * @returns {Promise<Array<Object>>} 匹配的缓存项
+   */
+  async findCacheItems(query) {
+    const spec = this.parseRepoSpec(query);
+    const isSameTemplate = (repoUrl) => {
+      const other = repoUrl && this.parseRepoSpec(repoUrl);
+      return Boolean(spec && other && other.repo === spec.repo && other.subdirectory === spec.subdirectory);
     };
+
+    return (await this.listCacheItems()).filter(
+      (item) => item.cacheKey === query || item.repoUrl === query || isSameTemplate(item.repoUrl)
+    );
   }
 
   /**
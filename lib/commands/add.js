@@ -0,0 +1,155 @@
+import path from 'path';
+import chalk from 'chalk';
+import logger from '../utils/logger.js';
+import fileUtils from '../utils/file.js';
+import generator from '../core/Generator.js';
+import config from '../core/Config.js';
+import errorHandler from '../core/ErrorHandler.js';
+import { getFeaturePath, listFeatures } from '../features/index.js';
+
+/**
+ * add 命令实现
+ * @param {string} feature 功能名称、本地功能模板路径或 GitHub 仓库 (owner/repo)
+ * @param {Object} options 命令选项
+ */
+export async function addCommand(feature, options) {
+  try {
+    // 加载配置
+    await config.load();
+
+    // 设置日志级别
+    if (options.verbose) {
+      logger.setVerbose(true);
+      errorHandler.setDebugMode(true);
+    }
+
+    if (!feature) {
+      await showFeatureList();
+      return;
+    }
+
+    if (!validateAddOptions(options)) {
+      process.exitCode = 1;
+      return;
+    }
+
+    const featureInfo = resolveFeature(feature);
+
+    logger.title('🧩 TerraFE 添加功能');
+    logger.newLine();
+    logger.info(`正在添加功能: ${chalk.cyan(feature)}`);
+    logger.newLine();
+
+    await generator.addFeature(featureInfo, {
+      cwd: options.cwd,
+      force: options.force || false,
+      conflict: options.conflict,
+      skipInstall: options.skipInstall || false,
+      packageManager: options.packageManager || 'auto',
+      interactive: !options.yes,
+      verbose: options.verbose || config.get('verbose', false),
+      offline: options.offline || false,
+    });
+  } catch (error) {
+    errorHandler.handle(error);
+  }
+}
+
+/**
+ * 解析功能来源
+ *   内置功能名称 → 内置功能模板
+ *   存在的本地路径 → 本地功能模板
+ *   owner/repo → GitHub 功能模板
+ * @param {string} feature 功能参数
+ * @returns {Object} 功能模板信息
+ */
+export function resolveFeature(feature) {
+  const builtinPath = getFeaturePath(feature);
+  if (builtinPath) {
+    return { type: 'local', path: builtinPath, name: feature };
+  }
+
+  const localPath = path.resolve(feature);
+  if (fileUtils.exists(localPath)) {
+    return { type: 'local', path: localPath, name: path.basename(localPath) };
+  }
+
+  if (/^[\w.-]+\/[\w.-]+$/.test(feature)) {
+    return { type: 'github', repo: feature, name: feature };
+  }
+
+  throw errorHandler.createError(`功能 "${feature}" 不存在`, 'FEATURE_NOT_FOUND', { feature });
+}
+
+/**
+ * 验证add命令参数
+ * @param {Object} options 选项
+ * @returns {boolean} 验证结果
+ */
+function validateAddOptions(options) {
+  if (options.packageManager) {
+    const validManagers = ['auto', 'npm', 'yarn', 'pnpm'];
+    if (!validManagers.includes(options.packageManager)) {
+      logger.error(`无效的包管理器: ${options.packageManager}`);
+      logger.info(`支持的包管理器: ${validManagers.join(', ')}`);
+      return false;
+    }
+  }
+
+  if (options.conflict) {
+    const validStrategies = ['overwrite', 'skip', 'new'];
+    if (!validStrategies.includes(options.conflict)) {
+      logger.error(`无效的冲突处理方式: ${options.conflict}`);
+      logger.info(`支持的处理方式: ${validStrategies.join(', ')}`);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * 显示内置功能列表
+ */
+async function showFeatureList() {
+  const features = await listFeatures();
+
+  logger.title('🧩 内置功能');
+  logger.newLine();
+  features.forEach(({ name, description }) => {
+    logger.info(`  ${chalk.cyan(name.padEnd(14))} ${description}`);
+  });
+  logger.newLine();
+  logger.info(`使用 ${chalk.cyan('terrafe add <feature>')} 为当前项目添加功能`);
+  logger.newLine();
+}
+
+/**
+ * 显示add命令帮助信息
+ */
+export function showAddHelp() {
+  logger.info('');
+  logger.title('terrafe add - 为现有项目添加功能');
+  logger.info('');
+  logger.info('使用方法:');
+  logger.info('  terrafe add [feature] [options]');
+  logger.info('');
+  logger.info('功能来源:');
+  logger.info('  <name>        内置功能，运行 terrafe add 查看列表');
+  logger.info('  <path>        本地功能模板目录');
+  logger.info('  <owner/repo>  GitHub 功能模板仓库');
+  logger.info('');
+  logger.info('选项:');
+  logger.info('  --cwd <dir>                  项目目录，默认为当前目录');
+  logger.info('  -f, --force                  忽略未提交修改检查');
+  logger.info('  -m, --package-manager <pm>   指定包管理器 (auto, npm, yarn, pnpm)');
+  logger.info('  --conflict <action>          冲突文件处理方式 (overwrite, skip, new)');
+  logger.info('  -y, --yes                    跳过交互式询问，使用默认值');
+  logger.info('  --skip-install               跳过依赖安装，只写入 package.json');
+  logger.info('');
+  logger.info('示例:');
+  logger.info('  terrafe add eslint                             # 添加 ESLint');
+  logger.info('  terrafe add vitest --skip-install              # 只写入配置和依赖声明');
+  logger.info('  terrafe add ./features/storybook               # 使用本地功能模板');
+  logger.info('');
+}
@@ -0,0 +1,274 @@
+import chalk from 'chalk';
+import logger from '../utils/logger.js';
+import fileUtils from '../utils/file.js';
+import config from '../core/Config.js';
+import errorHandler from '../core/ErrorHandler.js';
+import CacheManager, { formatAge, getTotalSize } from '../cache/CacheManager.js';
+
+/**
+ * cache 命令实现
+ * @param {string} action 操作类型 (list, info, verify, clean, remove, clear)
+ * @param {string} name 模板名称、仓库地址或缓存键
+ * @param {Object} options 命令选项
+ */
+export async function cacheCommand(action, name, options) {
+  try {
+    // 加载配置
+    await config.load();
+
+    // 设置日志级别
+    if (options.verbose) {
+      logger.setVerbose(true);
+      errorHandler.setDebugMode(true);
+    }
+
+    const cacheManager = new CacheManager(config);
+
+    switch (action) {
+      case 'list':
+        await listCache(cacheManager);
+        break;
+      case 'info':
+        await showCacheInfo(cacheManager, name);
+        break;
+      case 'verify':
+        await verifyCache(cacheManager, name);
+        break;
+      case 'clean':
+        await cleanCache(cacheManager);
+        break;
+      case 'remove':
+      case 'rm':
+        await removeCache(cacheManager, name);
+        break;
+      case 'clear':
+        await clearCache(cacheManager, options);
+        break;
+      default:
+        showCacheHelp();
+        break;
+    }
+  } catch (error) {
+    errorHandler.handle(error);
+  }
+}
+
+/**
+ * 列出缓存的模板
+ * @param {CacheManager} cacheManager 缓存管理器
+ */
+async function listCache(cacheManager) {
+  const items = await cacheManager.listCacheItems();
+
+  logger.title('🗄️  模板缓存');
+  logger.newLine();
+
+  if (items.length === 0) {
+    logger.info('没有缓存的模板');
+    logger.info(`缓存目录: ${chalk.gray(cacheManager.cacheDir)}`);
+    return;
+  }
+
+  for (const item of items) {
+    logger.info(item.repoUrl ? chalk.blue(item.repoUrl) : chalk.red('(元数据缺失)'));
+    const size = fileUtils.formatSize(item.size);
+    const age = item.cachedAt ? formatAge(item.cachedAt) : chalk.gray('未知');
+    logger.info(`  ${chalk.gray(item.cacheKey)}  ${age}  ${size}  ${formatStatus(item)}`);
+  }
+
+  // 内容相同的缓存项共用模板目录，只计算一次
+  const totalSize = getTotalSize(items);
+  const expired = items.filter((item) => item.expired && !item.broken).length;
+  const broken = items.filter((item) => item.broken).length;
+
+  logger.newLine();
+  logger.info(
+    `总计: ${chalk.green(items.length)} 个，已过期 ${chalk.yellow(expired)} 个` +
+      (broken > 0 ? `，损坏 ${chalk.red(broken)} 个` : '') +
+      `，共 ${chalk.green(fileUtils.formatSize(totalSize))}` +
+      (cacheManager.cacheMaxSize ? ` / 上限 ${fileUtils.formatSize(cacheManager.cacheMaxSize)}` : '')
+  );
+  if (broken > 0) {
+    logger.info(`使用 ${chalk.cyan('terrafe cache remove <key>')} 移除损坏的缓存`);
+  }
+  logger.info(`缓存目录: ${chalk.gray(cacheManager.cacheDir)}`);
+}
+
+/**
+ * 显示模板的缓存信息
+ * @param {CacheManager} cacheManager 缓存管理器
+ * @param {string} name 模板名称、仓库地址或缓存键
+ */
+async function showCacheInfo(cacheManager, name) {
+  const items = await findCache(cacheManager, name, 'info');
+  if (!items) {
+    return;
+  }
+
+  for (const item of items) {
+    logger.title(`🗄️  缓存信息: ${item.cacheKey}`);
+    logger.newLine();
+
+    logger.info(`仓库: ${item.repoUrl ? chalk.blue(item.repoUrl) : chalk.red('(元数据缺失)')}`);
+    logger.info(`路径: ${chalk.gray(item.path)}`);
+    if (item.cachedAt) {
+      logger.info(`缓存时间: ${new Date(item.cachedAt).toLocaleString()} (${formatAge(item.cachedAt)})`);
+    }
+    if (item.lastUsedAt) {
+      logger.info(`最近使用: ${new Date(item.lastUsedAt).toLocaleString()} (${formatAge(item.lastUsedAt)})`);
+    }
+    logger.info(`大小: ${fileUtils.formatSize(item.size)}`);
+    logger.info(`状态: ${formatStatus(item)}`);
+    if (item.hash) {
+      logger.info(`内容哈希: ${chalk.gray(item.hash)}`);
+    }
+    logger.newLine();
+  }
+}
+
+/**
+ * 校验缓存的完整性，移除损坏的缓存（下次使用时重新下载）
+ * @param {CacheManager} cacheManager 缓存管理器
+ * @param {string} name 模板名称、仓库地址或缓存键，不指定时校验所有缓存
+ */
+async function verifyCache(cacheManager, name) {
+  const items = name ? await findCache(cacheManager, name, 'verify') : await cacheManager.listCacheItems();
+  if (!items) {
+    return;
+  }
+
+  logger.title('🔍 校验模板缓存');
+  logger.newLine();
+
+  let corrupted = 0;
+  for (const item of items) {
+    if (await cacheManager.verifyCacheItem(item.cacheKey)) {
+      logger.success(item.repoUrl || item.cacheKey);
+      continue;
+    }
+
+    corrupted++;
+    logger.error(`${item.repoUrl || item.cacheKey} ${chalk.gray('(内容与记录的哈希不一致或文件缺失)')}`);
+    await cacheManager.removeCacheItem(item.cacheKey);
+  }
+
+  logger.newLine();
+  if (corrupted > 0) {
+    logger.warn(`已移除 ${corrupted} 个损坏的缓存，下次使用时将重新下载`);
+  } else {
+    logger.info(`${items.length} 个缓存均完整`);
+  }
+}
+
+/**
+ * 清理过期的缓存
+ * @param {CacheManager} cacheManager 缓存管理器
+ */
+async function cleanCache(cacheManager) {
+  const cleaned = await cacheManager.cleanExpiredCache();
+
+  if (cleaned === 0) {
+    logger.info('没有过期的缓存');
+  }
+}
+
+/**
+ * 移除模板的缓存
+ * @param {CacheManager} cacheManager 缓存管理器
+ * @param {string} name 模板名称、仓库地址或缓存键
+ */
+async function removeCache(cacheManager, name) {
+  const items = await findCache(cacheManager, name, 'remove');
+  if (!items) {
+    return;
+  }
+
+  for (const item of items) {
+    if (await cacheManager.removeCacheItem(item.cacheKey)) {
+      logger.success(`已移除缓存: ${item.repoUrl || item.cacheKey}`);
+    }
+  }
+}
+
+/**
+ * 清空所有缓存
+ * @param {CacheManager} cacheManager 缓存管理器
+ * @param {Object} options 选项
+ */
+async function clearCache(cacheManager, options) {
+  if (!options.force) {
+    logger.warn('此操作将删除所有缓存的模板');
+    logger.info('如要确认，请使用 --force 参数');
+    return;
+  }
+
+  if (!(await cacheManager.clearAllCache())) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 查找模板的缓存，模板名称按配置中的仓库地址查找
+ * @param {CacheManager} cacheManager 缓存管理器
+ * @param {string} name 模板名称、仓库地址或缓存键
+ * @param {string} action 操作名称，用于提示
+ * @returns {Promise<Array<Object>|null>} 缓存项，没有找到时返回 null
+ */
+async function findCache(cacheManager, name, action) {
+  if (!name) {
+    logger.error('请提供模板名称、仓库地址或缓存键');
+    logger.info(`使用方法: terrafe cache ${action} <template|repo>`);
+    return null;
+  }
+
+  const template = config.getTemplate(name);
+  const items = await cacheManager.findCacheItems(template ? template.repo : name);
+
+  if (items.length === 0) {
+    logger.warn(`没有找到 "${name}" 的缓存`);
+    return null;
+  }
+
+  return items;
+}
+
+/**
+ * 格式化缓存状态
+ * @param {Object} item 缓存项
+ * @returns {string} 状态
+ */
+function formatStatus(item) {
+  if (item.broken) {
+    return chalk.red('损坏');
+  }
+  return item.expired ? chalk.yellow('已过期') : chalk.green('有效');
+}
+
+/**
+ * 显示cache命令帮助信息
+ */
+export function showCacheHelp() {
+  logger.title('🗄️  模板缓存命令');
+  logger.newLine();
+
+  logger.info('使用方法:');
+  logger.info('  terrafe cache <action> [options]');
+  logger.newLine();
+
+  logger.info('操作:');
+  logger.info('  list                     列出缓存的模板（仓库、缓存键、缓存时间、大小、状态）');
+  logger.info('  info <template|repo>     显示模板的缓存信息');
+  logger.info('  verify [template|repo]   校验缓存的完整性，移除损坏的缓存');
+  logger.info('  clean                    清理过期的缓存');
+  logger.info('  remove <template|repo>   移除模板的缓存（包括固定到不同提交的缓存）');
+  logger.info('  clear --force            清空所有缓存');
+  logger.newLine();
+
+  logger.info('示例:');
+  logger.info('  terrafe cache list');
+  logger.info('  terrafe cache info vite-vue-ts');
+  logger.info('  terrafe cache verify');
+  logger.info('  terrafe cache remove antfu/vitesse-lite');
+  logger.info('  terrafe cache clear --force');
+  logger.newLine();
+}
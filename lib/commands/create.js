@@ -9,6 +9,64 @@ import config from '../core/Config.js';
 import errorHandler from '../core/ErrorHandler.js';
 import CacheManager from '../cache/CacheManager.js';
 import npmUtils from '../utils/npm.js';
+import fileUtils from '../utils/file.js';
+import { PROJECT_RECORD_FILE } from '../core/ProjectRecord.js';
+import { readAnswersFile, applySetValues } from '../core/Answers.js';
+import { getFeaturePath, listFeatures } from '../features/index.js';
+
+/**
+ * 交互式创建时可选的框架（按显示顺序）
+ */
+const FRAMEWORKS = {
+  react: 'React',
+  vue: 'Vue',
+  svelte: 'Svelte',
+  solid: 'Solid',
+  preact: 'Preact',
+  qwik: 'Qwik',
+  vanilla: 'Vanilla',
+};
+
+/**
+ * 创建项目时可选的附加功能（lib/features 中的内置功能），按此顺序添加
+ * husky 排在 ESLint / Prettier 之后，才能根据它们生成 lint-staged 配置
+ */
+const ADDONS = ['eslint', 'prettier', 'vitest', 'jest', 'husky', 'commitlint', 'editorconfig'];
+
+/**
+ * 生成前确认页中可以修改的配置项
+ * questions 为修改时重新询问的问题，默认为配置项本身；模板会重新询问所有模板问题
+ */
+const REVIEW_FIELDS = [
+  { name: 'template', label: '模板' },
+  { name: 'addons', label: '附加功能' },
+  { name: 'description', label: '描述' },
+  { name: 'author', label: '作者' },
+  { name: 'version', label: '版本' },
+  { name: 'license', label: '许可证' },
+  { name: 'packageManager', label: '包管理器', questions: ['specifyPackageManager', 'packageManager'] },
+  { name: 'gitInit', label: '初始化 Git' },
+  { name: 'installDeps', label: '安装依赖' },
+];
+
+/**
+ * 保存为预设的答案，描述、版本等只属于当前项目的答案不保存
+ */
+const PRESET_FIELDS = [
+  'framework',
+  'typescript',
+  'swc',
+  'templateCategory',
+  'template',
+  'customRepo',
+  'addons',
+  'author',
+  'license',
+  'specifyPackageManager',
+  'packageManager',
+  'gitInit',
+  'installDeps',
+];
 
 /**
  * create 命令实现
@@ -46,14 +104,57 @@ export async function createProject(projectName, options) {
     logger.info(`正在创建项目: ${chalk.cyan(projectName)}`);
     logger.newLine();
 
-    // 如果是非交互模式或指定了模板，直接执行
-    if (options.template || options.templatePath || options.yes) {
+    // 通过 --answers 和 --set 提供的答案，覆盖其他来源的同名字段
+    const providedAnswers = applySetValues(options.answers ? await readAnswersFile(options.answers) : {}, options.set);
+    options = { ...options, providedAnswers };
+
+    // 按项目记录或答案文件重新生成，不再询问
+    if (options.from) {
+      await executeGeneration(projectName, await loadFromFile(options.from, options));
+      return;
+    }
+
+    // 使用 --preset 保存的答案，交互模式下对应的询问不再执行
+    if (options.preset) {
+      const presetAnswers = config.getPreset(options.preset);
+      if (!presetAnswers) {
+        throw errorHandler.createError(`预设 "${options.preset}" 不存在`, 'PRESET_NOT_FOUND', {
+          preset: options.preset,
+          presets: Object.keys(config.get('presets', {})),
+        });
+      }
+      options = { ...options, presetAnswers };
+    }
+
+    // 不询问时直接使用预设中的答案，命令行指定的模板和附加功能优先
+    const hasTemplate = options.template || options.templatePath || options.customRepo;
+    if (options.presetAnswers && (hasTemplate || options.yes || !process.stdin.isTTY)) {
+      const { template, customRepo, ...presetOptions } = options.presetAnswers;
+      options = {
+        ...options,
+        ...presetOptions,
+        ...(!hasTemplate && { template, customRepo }),
+        ...(options.addons !== undefined && { addons: options.addons }),
+      };
+    }
+
+    // 非交互模式下未指定模板时，使用配置的默认模板（交互模式下 --framework 只跳过框架选择）
+    if (!(options.template || options.templatePath || options.customRepo) && (options.yes || !process.stdin.isTTY)) {
+      options = { ...options, template: resolveDefaultTemplate(options.framework) };
+    }
+
+    // 如果是非交互模式、非 TTY 环境或指定了模板，直接执行
+    if (options.template || options.templatePath || options.customRepo || options.yes || !process.stdin.isTTY) {
       await executeGeneration(projectName, options);
       return;
     }
 
-    // 交互式选择模板和配置
+    // 交互式选择模板和配置，已提供答案的询问不再执行
     const answers = await promptForProjectConfiguration(projectName, options);
+    if (!answers) {
+      logger.info('已取消创建项目');
+      return;
+    }
 
     // 合并选项
     const finalOptions = {
@@ -67,6 +168,114 @@ export async function createProject(projectName, options) {
   }
 }
 
+/**
+ * 获取配置的默认模板
+ *   指定框架时使用 defaults.<framework>，否则使用 defaultTemplate
+ * @param {string} framework 框架名称
+ * @returns {string} 模板名称
+ */
+export function resolveDefaultTemplate(framework) {
+  const key = framework ? `defaults.${framework.toLowerCase()}` : 'defaultTemplate';
+  const name = config.get(key, '');
+
+  if (!name) {
+    const frameworks = Object.keys(config.get('defaults', {}));
+    const message = framework
+      ? `没有为框架 "${framework}" 设置默认模板，已设置的框架: ${frameworks.join(', ') || '无'}`
+      : '未指定模板，也没有设置默认模板';
+    throw errorHandler.createError(message, 'NO_TEMPLATE_SPECIFIED', { key });
+  }
+
+  logger.info(`使用模板: ${chalk.cyan(name)} ${chalk.gray(`(${key})`)}`);
+  return name;
+}
+
+/**
+ * 解析附加功能
+ * 可以使用任意内置功能，按 ADDONS 中的顺序添加，其他功能排在最后
+ * @param {string|Array<string>} addons 逗号分隔的功能名称或名称列表
+ * @returns {Array<Object>} 功能模板信息
+ */
+export function resolveAddons(addons = []) {
+  const names = (typeof addons === 'string' ? addons.split(',') : addons).map((name) => name.trim()).filter(Boolean);
+  const unknown = names.filter((name) => !getFeaturePath(name));
+
+  if (unknown.length > 0) {
+    throw errorHandler.createError(`附加功能 "${unknown.join(', ')}" 不存在`, 'FEATURE_NOT_FOUND', { addons: unknown });
+  }
+  if (names.includes('vitest') && names.includes('jest')) {
+    throw errorHandler.createError('Vitest 和 Jest 只能选择一个', 'INVALID_ADDONS', { addons: names });
+  }
+
+  const order = (name) => (ADDONS.includes(name) ? ADDONS.indexOf(name) : ADDONS.length);
+  return [...new Set(names)]
+    .sort((a, b) => order(a) - order(b))
+    .map((name) => ({ type: 'local', path: getFeaturePath(name), name }));
+}
+
+/**
+ * 读取 --from 指定的文件，转换为生成选项
+ *   项目记录（.terrafe.json）→ 使用记录中的模板、模板版本、项目信息和询问答案
+ *   答案文件（普通 JSON）→ 同时作为项目信息和询问答案，模板需通过 -t/-p/-r 指定
+ * 命令行指定的模板优先于项目记录中的模板
+ * @param {string} file 文件路径，为目录时读取其中的项目记录
+ * @param {Object} options 命令选项
+ * @returns {Promise<Object>} 合并后的命令选项
+ */
+export async function loadFromFile(file, options) {
+  let filePath = path.resolve(file);
+  if (await fileUtils.isDirectory(filePath)) {
+    filePath = fileUtils.join(filePath, PROJECT_RECORD_FILE);
+  }
+
+  const content = await readAnswersFile(filePath);
+  const isRecord = content.template !== null && typeof content.template === 'object';
+  const data = isRecord ? content.data || {} : content;
+  const answers = isRecord ? content.answers || {} : content;
+  const hasTemplateOption = Boolean(options.template || options.templatePath || options.customRepo);
+
+  let templateInfo = null;
+  if (isRecord && !hasTemplateOption) {
+    templateInfo = getRecordTemplateInfo(content.template);
+  } else if (!hasTemplateOption) {
+    throw errorHandler.createError('答案文件中没有模板信息，请使用 -t、-p 或 -r 指定模板', 'NO_TEMPLATE_SPECIFIED', {
+      file: filePath,
+    });
+  }
+
+  const useRecordPackageManager =
+    isRecord && content.packageManager && [undefined, 'auto'].includes(options.packageManager);
+
+  return {
+    ...options,
+    yes: true,
+    templateInfo,
+    packageManager: useRecordPackageManager ? content.packageManager : options.packageManager,
+    addons: options.addons ?? (isRecord ? content.addons : undefined),
+    fromData: data,
+    fromAnswers: answers,
+  };
+}
+
+/**
+ * 根据项目记录中的模板信息获取模板，并固定到记录的模板版本
+ * @param {Object} template 项目记录中的模板信息
+ * @returns {Object} 模板信息
+ */
+function getRecordTemplateInfo(template) {
+  if (!['github', 'local'].includes(template.type) || !(template.repo || template.path)) {
+    throw errorHandler.createError('项目记录中的模板信息无效', 'NO_TEMPLATE_SPECIFIED', { template });
+  }
+
+  if (!template.commit) {
+    logger.warn('项目记录中没有模板版本，将使用模板的最新版本');
+  }
+
+  return template.type === 'github'
+    ? { type: 'github', repo: template.repo, name: template.name, commit: template.commit }
+    : { type: 'local', path: template.path, name: template.name, commit: template.commit };
+}
+
 /**
  * 交互式提示用户配置项目
  * @param {string} projectName 项目名称
@@ -76,11 +285,43 @@ export async function createProject(projectName, options) {
 async function promptForProjectConfiguration(projectName, options) {
   const templates = await getAvailableTemplates();
 
-  const questions = [
+  const templateQuestions = [
+    {
+      type: 'list',
+      name: 'framework',
+      message: '请选择框架:',
+      choices: () => [
+        ...getFrameworks().map((framework) => ({ name: FRAMEWORKS[framework] || framework, value: framework })),
+        new inquirer.Separator(),
+        { name: '⚙️  高级: 从完整模板列表中选择', value: 'advanced' },
+      ],
+    },
+    {
+      type: 'confirm',
+      name: 'typescript',
+      message: '是否使用 TypeScript?',
+      default: true,
+      when: (answers) => {
+        const languages = config.findTemplates({ framework: answers.framework }).map(getLanguage);
+        return answers.framework !== 'advanced' && new Set(languages).size > 1;
+      },
+    },
+    {
+      type: 'confirm',
+      name: 'swc',
+      message: '是否使用 SWC 编译?',
+      default: false,
+      when: (answers) =>
+        answers.framework !== 'advanced' &&
+        config
+          .findTemplates({ framework: answers.framework, language: getLanguage(answers) })
+          .some((name) => config.getTemplate(name).compiler === 'swc'),
+    },
     {
       type: 'list',
       name: 'templateCategory',
       message: '请选择模板类型:',
+      when: (answers) => answers.framework === 'advanced',
       choices: () => {
         const choices = [
           { name: '🔥 官方 Vite 模板', value: 'official' },
@@ -119,7 +360,7 @@ async function promptForProjectConfiguration(projectName, options) {
           value: template.key,
         }));
       },
-      when: (answers) => answers.templateCategory !== 'custom',
+      when: (answers) => answers.framework === 'advanced' && answers.templateCategory !== 'custom',
     },
     {
       type: 'input',
@@ -161,6 +402,20 @@ async function promptForProjectConfiguration(projectName, options) {
       message: '请输入模板描述 (可选):',
       when: (answers) => answers.templateCategory === 'custom' && answers.saveCustomTemplate,
     },
+  ];
+
+  const features = await listFeatures();
+  const projectQuestions = [
+    {
+      type: 'checkbox',
+      name: 'addons',
+      message: '选择附加功能:',
+      choices: ADDONS.map((name) => ({
+        name: `${name} ${chalk.gray(features.find((feature) => feature.name === name)?.description || '')}`,
+        value: name,
+      })),
+      validate: (input) => !(input.includes('vitest') && input.includes('jest')) || 'Vitest 和 Jest 只能选择一个',
+    },
     {
       type: 'input',
       name: 'description',
@@ -231,7 +486,244 @@ async function promptForProjectConfiguration(projectName, options) {
     },
   ];
 
-  return await inquirer.prompt(questions);
+  const answers = await promptTemplateQuestions(templateQuestions, {
+    ...options.presetAnswers,
+    ...(options.framework && { framework: options.framework.toLowerCase() }),
+    ...(options.addons !== undefined && { addons: options.addons }),
+    ...options.providedAnswers,
+  });
+
+  return await reviewProjectConfiguration(
+    projectName,
+    await inquirer.prompt(projectQuestions, answers),
+    templateQuestions,
+    projectQuestions
+  );
+}
+
+/**
+ * 询问模板，并按框架、语言和编译器从模板元数据中确定模板
+ * @param {Array<Object>} questions 模板询问
+ * @param {Object} answers 已有答案，对应的询问不再执行
+ * @returns {Promise<Object>} 答案
+ */
+async function promptTemplateQuestions(questions, answers) {
+  const result = await inquirer.prompt(questions, answers);
+
+  if (result.framework !== 'advanced' && !result.template) {
+    result.template = resolveFrameworkTemplate(result.framework, result);
+  }
+
+  return result;
+}
+
+/**
+ * 生成前确认项目配置，可以修改其中一项（只重新询问该项）、保存为预设或取消
+ * @param {string} projectName 项目名称
+ * @param {Object} answers 询问答案
+ * @param {Array<Object>} templateQuestions 模板询问
+ * @param {Array<Object>} projectQuestions 项目询问
+ * @returns {Promise<Object|null>} 确认后的答案，取消时返回 null
+ */
+async function reviewProjectConfiguration(projectName, answers, templateQuestions, projectQuestions) {
+  let current = normalizeAddons(answers);
+
+  for (;;) {
+    logger.newLine();
+    logger.info(`📋 项目配置:`);
+    logger.info(`   名称: ${chalk.cyan(projectName)}`);
+    REVIEW_FIELDS.forEach((field) => logger.info(`   ${field.label}: ${formatReviewValue(field.name, current)}`));
+    logger.info(chalk.gray('   模板自定义的询问（如有）将在确认后加载模板时询问'));
+    logger.newLine();
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: '确认项目配置:',
+        choices: [
+          { name: '✅ 确认并创建', value: 'confirm' },
+          { name: '✏️  修改配置', value: 'edit' },
+          { name: '💾 保存为预设', value: 'preset' },
+          { name: '❌ 取消', value: 'abort' },
+        ],
+      },
+    ]);
+
+    if (action === 'confirm') {
+      return { ...current, reviewed: true };
+    }
+    if (action === 'abort') {
+      return null;
+    }
+    if (action === 'preset') {
+      await saveAnswersAsPreset(current);
+      continue;
+    }
+
+    const { field } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'field',
+        message: '修改哪一项?',
+        choices: REVIEW_FIELDS.map(({ name, label }) => ({
+          name: `${label}: ${formatReviewValue(name, current)}`,
+          value: name,
+        })),
+      },
+    ]);
+
+    // 只重新询问该项，以当前答案作为默认值
+    const questions = field === 'template' ? templateQuestions : projectQuestions;
+    const names = field === 'template' ? questions.map((question) => question.name) : getReviewField(field).questions;
+    const rest = Object.fromEntries(Object.entries(current).filter(([key]) => !names.includes(key)));
+    const edited = questions
+      .filter((question) => names.includes(question.name))
+      .map((question) => ({ ...question, default: current[question.name] ?? question.default }));
+
+    const result =
+      field === 'template' ? await promptTemplateQuestions(edited, rest) : await inquirer.prompt(edited, rest);
+
+    // 与初次询问一样重新解析附加功能，无效时保留修改前的配置
+    try {
+      current = normalizeAddons(result);
+    } catch (error) {
+      if (!['FEATURE_NOT_FOUND', 'INVALID_ADDONS'].includes(error.code)) {
+        throw error;
+      }
+      logger.error(error.message);
+    }
+  }
+}
+
+/**
+ * 解析答案中的附加功能，转换为按添加顺序排列的功能名称
+ * @param {Object} answers 询问答案
+ * @returns {Object} 答案
+ */
+function normalizeAddons(answers) {
+  return { ...answers, addons: resolveAddons(answers.addons).map((feature) => feature.name) };
+}
+
+/**
+ * 获取确认页中的配置项
+ * @param {string} name 配置项名称
+ * @returns {Object} 配置项 { name, label, questions }
+ */
+function getReviewField(name) {
+  const field = REVIEW_FIELDS.find((item) => item.name === name);
+  return { questions: [name], ...field };
+}
+
+/**
+ * 格式化确认页中的配置值
+ * @param {string} name 配置项名称
+ * @param {Object} answers 询问答案
+ * @returns {string} 显示的值
+ */
+function formatReviewValue(name, answers) {
+  switch (name) {
+    case 'template':
+      return chalk.green(answers.customRepo || answers.template);
+    case 'addons':
+      return answers.addons.length > 0 ? answers.addons.join(', ') : chalk.gray('无');
+    case 'packageManager':
+      return answers.specifyPackageManager ? answers.packageManager : chalk.gray('自动检测');
+    case 'gitInit':
+    case 'installDeps':
+      return answers[name] ? '是' : '否';
+    default:
+      return answers[name] || chalk.gray('(空)');
+  }
+}
+
+/**
+ * 将答案保存为预设
+ * @param {Object} answers 询问答案
+ */
+async function saveAnswersAsPreset(answers) {
+  const { name, overwrite } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: '预设名称:',
+      validate: (input) => /^[\w-]+$/.test(input.trim()) || '预设名称只能包含字母、数字、下划线和连字符',
+      filter: (input) => input.trim(),
+    },
+    {
+      type: 'confirm',
+      name: 'overwrite',
+      message: (result) => `预设 "${result.name}" 已存在，是否覆盖?`,
+      default: false,
+      when: (result) => Boolean(config.getPreset(result.name)),
+    },
+  ]);
+
+  if (overwrite === false) {
+    return;
+  }
+
+  const preset = Object.fromEntries(
+    Object.entries(answers).filter(([key, value]) => PRESET_FIELDS.includes(key) && value !== undefined)
+  );
+
+  if (await config.savePreset(name, preset)) {
+    logger.success(`预设 "${name}" 已保存，使用 ${chalk.cyan(`terrafe create <project-name> --preset ${name}`)} 创建项目`);
+  } else {
+    logger.warn(`保存预设 "${name}" 失败`);
+  }
+}
+
+/**
+ * 获取模板元数据中出现的框架，内置框架按固定顺序在前
+ * @returns {Array<string>} 框架名称
+ */
+function getFrameworks() {
+  const frameworks = new Set(
+    Object.values(config.getAllTemplates())
+      .map((template) => template.framework)
+      .filter(Boolean)
+  );
+  const builtin = Object.keys(FRAMEWORKS).filter((name) => frameworks.has(name));
+  return [...builtin, ...[...frameworks].filter((name) => !FRAMEWORKS[name])];
+}
+
+/**
+ * 获取模板或询问答案对应的语言
+ * @param {string|Object} source 模板名称，或包含 typescript 答案的对象
+ * @returns {string|undefined} 语言 (js, ts)，未选择时为 undefined
+ */
+function getLanguage(source) {
+  if (typeof source === 'string') {
+    return config.getTemplate(source).language;
+  }
+  return source.typescript === undefined ? undefined : source.typescript ? 'ts' : 'js';
+}
+
+/**
+ * 根据框架和询问答案确定模板
+ * 有多个匹配的模板时优先使用该框架的默认模板 (defaults.<framework>)
+ * @param {string} framework 框架名称
+ * @param {Object} answers 询问答案 { typescript, swc }
+ * @returns {string} 模板名称
+ */
+export function resolveFrameworkTemplate(framework, answers = {}) {
+  const criteria = {
+    framework,
+    language: getLanguage(answers),
+    compiler: answers.swc === undefined ? undefined : answers.swc ? 'swc' : 'babel',
+  };
+  const matches = config.findTemplates(criteria);
+
+  if (matches.length === 0) {
+    const description = Object.values(criteria).filter(Boolean).join(' + ');
+    throw errorHandler.createError(`没有匹配 ${description} 的模板`, 'NO_TEMPLATE_SPECIFIED', { criteria });
+  }
+
+  const preferred = config.get(`defaults.${framework}`);
+  const name = matches.includes(preferred) ? preferred : matches[0];
+  logger.info(`使用模板: ${chalk.cyan(name)}`);
+  return name;
 }
 
 /**
@@ -323,6 +815,9 @@ async function executeGeneration(projectName, options) {
       name: options.template,
       description: template.description,
     };
+  } else if (options.templateInfo) {
+    // 使用项目记录中的模板
+    templateInfo = options.templateInfo;
   } else {
     logger.error('未指定模板');
     return;
@@ -331,29 +826,72 @@ async function executeGeneration(projectName, options) {
   // 准备生成选项（包管理器选择将在模板下载后进行）
   const generateOptions = {
     force: options.force || false,
-    skipGit: !options.gitInit,
-    skipInstall: !options.installDeps,
+    merge: options.merge || false,
+    conflict: options.conflict,
+    // 未经交互询问时（如 -y）使用配置中的默认值
+    skipGit:
+      options.gitInit === undefined ? Boolean(options.skipGit) || !config.get('gitInit', true) : !options.gitInit,
+    skipInstall:
+      options.installDeps === undefined
+        ? Boolean(options.skipInstall) || !config.get('installDeps', true)
+        : !options.installDeps,
     packageManager: options.packageManager || (options.specifyPackageManager ? options.packageManager : 'auto'), // 如果用户没有指定包管理器则使用auto进行自动检测
     template: templateInfo,
+    features: resolveAddons(options.addons),
+    interactive: !options.yes,
+    dryRun: options.dryRun || false,
     verbose: options.verbose || config.get('verbose', false),
+    offline: options.offline || false,
     templateData: {
       projectName,
       description: options.description || '',
       author: options.author || '',
       version: options.version || '1.0.0',
       license: options.license || 'MIT',
+      ...options.fromData,
+      ...options.providedAnswers,
     },
+    answers: { ...options.fromAnswers, ...options.providedAnswers },
+    // 非 TTY 环境中无法询问，模板的必填询问没有答案时报错
+    requireAnswers: !process.stdin.isTTY,
   };
 
+  // 项目名称以命令行参数为准
+  generateOptions.templateData.projectName = projectName;
+
   logger.debug('生成选项:', generateOptions);
 
-  // 显示生成信息
+  // 显示生成信息（交互式创建时已在确认页中显示）
+  if (!options.reviewed) {
+    showProjectSummary(projectName, generateOptions, templateInfo);
+  }
+
+  // 预览模式只展示生成结果
+  if (generateOptions.dryRun) {
+    await generator.dryRun(projectName, generateOptions);
+    return;
+  }
+
+  // 执行项目生成
+  await generator.generate(projectName, generateOptions);
+}
+
+/**
+ * 显示项目配置
+ * @param {string} projectName 项目名称
+ * @param {Object} generateOptions 生成选项
+ * @param {Object} templateInfo 模板信息
+ */
+function showProjectSummary(projectName, generateOptions, templateInfo) {
   logger.info(`📋 项目配置:`);
   logger.info(`   名称: ${chalk.cyan(projectName)}`);
   logger.info(`   描述: ${generateOptions.templateData.description}`);
   logger.info(`   作者: ${generateOptions.templateData.author}`);
   logger.info(`   版本: ${generateOptions.templateData.version}`);
   logger.info(`   许可证: ${generateOptions.templateData.license}`);
+  if (generateOptions.features.length > 0) {
+    logger.info(`   附加功能: ${generateOptions.features.map((feature) => feature.name).join(', ')}`);
+  }
 
   if (templateInfo.type === 'github') {
     logger.info(`   模板: ${chalk.green(templateInfo.repo)}`);
@@ -362,9 +900,6 @@ async function executeGeneration(projectName, options) {
   }
 
   logger.newLine();
-
-  // 执行项目生成
-  await generator.generate(projectName, generateOptions);
 }
 
 /**
@@ -391,6 +926,20 @@ export function validateCreateOptions(projectName, options) {
     }
   }
 
+  // 验证冲突处理方式
+  if (options.conflict) {
+    const validStrategies = ['overwrite', 'skip', 'new'];
+    if (!validStrategies.includes(options.conflict)) {
+      logger.error(`无效的冲突处理方式: ${options.conflict}`);
+      logger.info(`支持的处理方式: ${validStrategies.join(', ')}`);
+      return false;
+    }
+    if (!options.merge) {
+      logger.error('--conflict 需要与 --merge 一起使用');
+      return false;
+    }
+  }
+
   // 验证模板路径
   if (options.templatePath) {
     if (!validator.validateFilePath(options.templatePath)) {
@@ -428,9 +977,19 @@ export function showCreateHelp() {
   logger.info('  -v, --version <version>      项目版本');
   logger.info('  -l, --license <license>      项目许可证');
   logger.info('  -f, --force                  强制覆盖现有目录');
+  logger.info('  --merge                      合并到现有目录，逐个处理冲突文件');
+  logger.info('  --conflict <action>          冲突文件处理方式 (overwrite, skip, new)');
   logger.info('  -y, --yes                    跳过交互式询问，使用默认值');
+  logger.info('  --framework <name>           指定框架；与 -y 一起使用时选择该框架的默认模板 (defaults.<name>)');
   logger.info('  --skip-git                   跳过Git初始化');
   logger.info('  --skip-install               跳过依赖安装');
+  logger.info('  --dry-run                    预览生成结果，不写入目标目录；不执行模板钩子，但仍会加载模板的 terrafe.config.js');
+  logger.info('  --from <file>                按项目记录 (.terrafe.json) 或答案文件重新生成项目');
+  logger.info('  --answers <file>             从 JSON / YAML 文件读取答案');
+  logger.info('  --addons <names>             添加附加功能，逗号分隔 (如 eslint,prettier,vitest)');
+  logger.info('  --preset <name>              使用交互式创建时保存的预设');
+  logger.info('  --set <key=value>            设置答案，支持 a.b 路径和 JSON 值，可重复使用');
+  logger.info('  --offline                    离线模式，只使用缓存的模板（不检查是否过期）');
   logger.info('  --verbose                    显示详细输出');
   logger.info('');
   logger.info('内置模板:');
@@ -448,6 +1007,13 @@ export function showCreateHelp() {
   logger.info('  terrafe create my-vue-app -t vite-vue-ts       # 使用内置模板');
   logger.info('  terrafe create my-app -r vitejs/vite-react     # 使用 GitHub 模板');
   logger.info('  terrafe create my-app -p ./my-template         # 使用本地模板');
-  logger.info('  terrafe create my-app -y                       # 使用默认配置');
+  logger.info('  terrafe create my-app -y                       # 使用默认模板 (defaultTemplate)');
+  logger.info('  terrafe create my-app -y --framework react     # 使用 React 的默认模板');
+  logger.info('  terrafe create my-app -y --addons eslint,husky # 添加 ESLint 和 Husky');
+  logger.info('  terrafe create my-app -y --preset web          # 使用预设 web 创建');
+  logger.info('  terrafe create my-app -r owner/repo --dry-run  # 预览模板生成结果');
+  logger.info('  terrafe create my-repo -p ./tpl --merge        # 在现有仓库中应用模板');
+  logger.info('  terrafe create my-copy --from ./my-app         # 按现有项目的记录重新生成');
+  logger.info('  terrafe create my-app -p ./tpl --set port=8080 # 设置模板询问的答案');
   logger.info('');
 }
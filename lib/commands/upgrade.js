@@ -0,0 +1,61 @@
+import chalk from 'chalk';
+import logger from '../utils/logger.js';
+import generator from '../core/Generator.js';
+import config from '../core/Config.js';
+import errorHandler from '../core/ErrorHandler.js';
+
+/**
+ * upgrade 命令实现
+ * @param {Object} options 命令选项
+ */
+export async function upgradeCommand(options) {
+  try {
+    // 加载配置
+    await config.load();
+
+    // 设置日志级别
+    if (options.verbose) {
+      logger.setVerbose(true);
+      errorHandler.setDebugMode(true);
+    }
+
+    logger.title('⬆️  TerraFE 项目升级');
+    logger.newLine();
+
+    const result = await generator.upgrade({
+      cwd: options.cwd,
+      force: options.force || false,
+      interactive: !options.yes,
+      verbose: options.verbose || config.get('verbose', false),
+      offline: options.offline || false,
+    });
+
+    if (result && result.conflicted.length > 0) {
+      logger.info(`解决冲突后运行 ${chalk.cyan('git diff')} 检查升级内容`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    errorHandler.handle(error);
+  }
+}
+
+/**
+ * 显示upgrade命令帮助信息
+ */
+export function showUpgradeHelp() {
+  logger.info('');
+  logger.title('terrafe upgrade - 升级项目到模板的最新版本');
+  logger.info('');
+  logger.info('使用方法:');
+  logger.info('  terrafe upgrade [options]');
+  logger.info('');
+  logger.info('选项:');
+  logger.info('  --cwd <dir>    项目目录，默认为当前目录');
+  logger.info('  -f, --force    忽略未提交修改检查');
+  logger.info('  -y, --yes      新版本模板中新增的询问使用默认值');
+  logger.info('');
+  logger.info('说明:');
+  logger.info('  根据 .terrafe.json 中记录的模板版本和答案，分别生成旧版本和最新版本，');
+  logger.info('  再将模板的变化三方合并到项目中，冲突处写入 <<<<<<< / >>>>>>> 标记。');
+  logger.info('');
+}
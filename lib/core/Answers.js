@@ -0,0 +1,89 @@
+import path from 'path';
+import fs from 'fs-extra';
+import yaml from 'js-yaml';
+import fileUtils from '../utils/file.js';
+import validator from '../utils/validate.js';
+import errorHandler from './ErrorHandler.js';
+
+/**
+ * 读取答案文件（JSON 或 YAML），用于 --answers 和 --from
+ * @param {string} file 文件路径
+ * @returns {Promise<Object>} 答案
+ */
+export async function readAnswersFile(file) {
+  const filePath = path.resolve(file);
+
+  if (!fileUtils.exists(filePath)) {
+    throw errorHandler.createError(`文件不存在: ${file}`, 'ANSWERS_FILE_ERROR', { file: filePath });
+  }
+
+  let content;
+  try {
+    const text = await fs.readFile(filePath, 'utf8');
+    content = /\.ya?ml$/i.test(filePath) ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw errorHandler.createError(`无法解析文件 ${file}: ${error.message}`, 'ANSWERS_FILE_ERROR', {
+      file: filePath,
+    });
+  }
+
+  if (content === null || typeof content !== 'object' || Array.isArray(content)) {
+    throw errorHandler.createError(`文件 ${file} 的内容必须是对象`, 'ANSWERS_FILE_ERROR', { file: filePath });
+  }
+
+  return content;
+}
+
+/**
+ * 将 --set key=value 写入答案
+ *   key 可以是 a.b.c 形式的路径，中间层级不存在时创建对象
+ *   value 按 JSON 解析（true、3、["a"]、{"a":1} 等），无法解析时作为字符串
+ * @param {Object} target 已有答案，不会被修改
+ * @param {Array<string>} sets --set 参数列表
+ * @returns {Object} 新的答案
+ */
+export function applySetValues(target = {}, sets = []) {
+  const result = JSON.parse(JSON.stringify(target));
+
+  for (const item of sets) {
+    const index = item.indexOf('=');
+    const keys = index > 0 ? item.slice(0, index).trim().split('.') : [];
+
+    if (keys.length === 0 || keys.some((key) => !key)) {
+      throw errorHandler.createError(`无效的 --set 参数: ${item}，格式应为 key=value`, 'INVALID_SET_OPTION', {
+        value: item,
+      });
+    }
+    if (!validator.validateKeyPath(keys)) {
+      throw errorHandler.createError(`无效的 --set 参数: ${item}，不能使用保留的键名`, 'INVALID_SET_OPTION', {
+        value: item,
+      });
+    }
+
+    let current = result;
+    for (const key of keys.slice(0, -1)) {
+      if (current[key] === null || typeof current[key] !== 'object' || Array.isArray(current[key])) {
+        current[key] = {};
+      }
+      current = current[key];
+    }
+    current[keys[keys.length - 1]] = parseSetValue(item.slice(index + 1));
+  }
+
+  return result;
+}
+
+/**
+ * 解析 --set 的值
+ * 数字只在原样转换时解析，"1.0"、"007" 等保持字符串，避免版本号之类的值被改写
+ * @param {string} value 原始值
+ * @returns {any} 解析结果
+ */
+export function parseSetValue(value) {
+  try {
+    const parsed = JSON.parse(value);
+    return typeof parsed === 'number' && String(parsed) !== value.trim() ? value : parsed;
+  } catch {
+    return value;
+  }
+}
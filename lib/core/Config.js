@@ -3,6 +3,58 @@ import path from 'path';
 import os from 'os';
 import logger from '../utils/logger.js';
 import fileUtils from '../utils/file.js';
+import lockUtils from '../utils/lock.js';
+import validator from '../utils/validate.js';
+
+/**
+ * 按键路径设置对象中的值，中间层级不存在时创建对象
+ * @param {Object} target 目标对象
+ * @param {Array<string>} keys 键路径
+ * @param {any} value 值
+ */
+function setIn(target, keys, value) {
+  let current = target;
+
+  // 创建嵌套结构
+  for (let i = 0; i < keys.length - 1; i++) {
+    const k = keys[i];
+    if (!current[k] || typeof current[k] !== 'object') {
+      current[k] = {};
+    }
+    current = current[k];
+  }
+
+  // 设置值
+  current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * 按键路径删除对象中的值
+ * @param {Object} target 目标对象
+ * @param {Array<string>} keys 键路径
+ * @returns {boolean} 是否删除
+ */
+function deleteIn(target, keys) {
+  let current = target;
+
+  // 找到父对象
+  for (let i = 0; i < keys.length - 1; i++) {
+    const k = keys[i];
+    if (!current[k] || typeof current[k] !== 'object') {
+      return false; // 路径不存在
+    }
+    current = current[k];
+  }
+
+  // 删除属性
+  const lastKey = keys[keys.length - 1];
+  if (lastKey in current) {
+    delete current[lastKey];
+    return true;
+  }
+
+  return false;
+}
 
 /**
  * 配置管理类
@@ -17,75 +69,126 @@ class Config {
       gitInit: true,
       installDeps: true,
       registry: 'https://registry.npmjs.org/',
+      // 未指定模板时 create -y 使用的模板
+      defaultTemplate: 'vite-vanilla-ts',
+      // 各框架的默认模板，通过 create --framework <name> 选择
+      defaults: {
+        vanilla: 'vite-vanilla-ts',
+        vue: 'vite-vue-ts',
+        react: 'vite-react-ts',
+        preact: 'vite-preact-ts',
+        svelte: 'vite-svelte-ts',
+        solid: 'vite-solid-ts',
+        qwik: 'vite-qwik-ts',
+      },
       templates: {
         cache: true,
         cacheTime: 86400000, // 24小时
+        cacheMaxSize: 0, // 缓存总大小上限（字节数或 "500MB"），超过时移除最久未使用的模板，0 表示不限制
         cacheDir: path.join(os.homedir(), '.terrafe', 'cache'),
+        offline: false, // 离线模式：只使用缓存的模板，不检查是否过期
         official: {
           // Vite 官方模板
+          // framework / language (js, ts) / compiler (babel, swc) 用于交互式创建时按框架选择模板
           'vite-vanilla': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-vanilla',
             description: 'Vanilla JavaScript',
+            framework: 'vanilla',
+            language: 'js',
           },
           'vite-vanilla-ts': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-vanilla-ts',
             description: 'Vanilla TypeScript',
+            framework: 'vanilla',
+            language: 'ts',
           },
           'vite-vue': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-vue',
             description: 'Vue 3',
+            framework: 'vue',
+            language: 'js',
           },
           'vite-vue-ts': {
             repo: 'antfu/vitesse-lite',
             description: 'Vue 3 + TypeScript + Vite 轻量级模板',
+            framework: 'vue',
+            language: 'ts',
           },
           'vite-react': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-react',
             description: 'React',
+            framework: 'react',
+            language: 'js',
+            compiler: 'babel',
           },
           'vite-react-ts': {
             repo: 'vitejs/vite-react-ts-starter',
             description: 'React + TypeScript 启动模板',
+            framework: 'react',
+            language: 'ts',
+            compiler: 'babel',
           },
           'vite-react-swc': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-react-swc',
             description: 'React + SWC',
+            framework: 'react',
+            language: 'js',
+            compiler: 'swc',
           },
           'vite-react-swc-ts': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-react-swc-ts',
             description: 'React + SWC + TypeScript',
+            framework: 'react',
+            language: 'ts',
+            compiler: 'swc',
           },
           'vite-preact': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-preact',
             description: 'Preact',
+            framework: 'preact',
+            language: 'js',
           },
           'vite-preact-ts': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-preact-ts',
             description: 'Preact + TypeScript',
+            framework: 'preact',
+            language: 'ts',
           },
           'vite-svelte': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-svelte',
             description: 'Svelte',
+            framework: 'svelte',
+            language: 'js',
           },
           'vite-svelte-ts': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-svelte-ts',
             description: 'Svelte + TypeScript',
+            framework: 'svelte',
+            language: 'ts',
           },
           'vite-solid': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-solid',
             description: 'Solid',
+            framework: 'solid',
+            language: 'js',
           },
           'vite-solid-ts': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-solid-ts',
             description: 'Solid + TypeScript',
+            framework: 'solid',
+            language: 'ts',
           },
           'vite-qwik': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-qwik',
             description: 'Qwik',
+            framework: 'qwik',
+            language: 'js',
           },
           'vite-qwik-ts': {
             repo: 'https://github.com/vitejs/vite/tree/main/packages/create-vite/template-qwik-ts',
             description: 'Qwik + TypeScript',
+            framework: 'qwik',
+            language: 'ts',
           },
         },
         community: {
@@ -113,11 +216,19 @@ class Config {
         email: '',
         author: '',
       },
+      // 交互式创建时保存的答案，通过 create --preset <name> 使用
+      // 格式: 'preset-name': { template: '...', addons: [], license: '...', ... }
+      presets: {},
       verbose: false,
     };
 
     this.config = { ...this.defaultConfig };
     this.loaded = false;
+
+    // 加载后通过 set / delete 做的修改，保存时应用到重新读取的配置文件上，不覆盖其他进程保存的修改
+    this.changes = [];
+    // 整体替换配置（重置、导入）时直接写入当前配置
+    this.replaced = false;
   }
 
   /**
@@ -135,6 +246,8 @@ class Config {
 
         // 合并默认配置和用户配置
         this.config = this.mergeConfig(this.defaultConfig, userConfig);
+        this.changes = [];
+        this.replaced = false;
         logger.debug('配置文件加载成功');
       } else {
         // 创建默认配置文件
@@ -148,6 +261,7 @@ class Config {
       logger.debug(`配置文件加载失败: ${error.message}`);
       // 使用默认配置
       this.config = { ...this.defaultConfig };
+      this.changes = [];
       this.loaded = true;
       return this.config;
     }
@@ -160,7 +274,29 @@ class Config {
   async save() {
     try {
       await fileUtils.ensureDir(this.configDir);
-      await fileUtils.writeFile(this.configFile, JSON.stringify(this.config, null, 2));
+
+      // 多个进程同时保存时依次写入，先写临时文件再替换，读取时不会读到写了一半的文件
+      await lockUtils.withLock(`${this.configFile}.lock`, async () => {
+        // 其他进程可能在本进程加载之后保存过配置：重新读取配置文件，再应用本进程的修改
+        const latest = this.replaced ? null : await this.readConfigFile();
+        if (latest) {
+          const config = JSON.parse(JSON.stringify(this.mergeConfig(this.defaultConfig, latest)));
+          for (const { keys, value, deleted } of this.changes) {
+            if (deleted) {
+              deleteIn(config, keys);
+            } else {
+              setIn(config, keys, value);
+            }
+          }
+          this.config = config;
+        }
+
+        const tempFile = `${this.configFile}.${process.pid}.tmp`;
+        await fileUtils.writeFile(tempFile, JSON.stringify(this.config, null, 2));
+        await fs.move(tempFile, this.configFile, { overwrite: true });
+        this.changes = [];
+        this.replaced = false;
+      });
       logger.debug('配置文件保存成功');
       return true;
     } catch (error) {
@@ -169,6 +305,19 @@ class Config {
     }
   }
 
+  /**
+   * 读取配置文件中的用户配置
+   * @returns {Promise<Object|null>} 用户配置，文件不存在或无法解析时返回 null
+   */
+  async readConfigFile() {
+    try {
+      return fileUtils.exists(this.configFile) ? JSON.parse(await fileUtils.readFile(this.configFile)) : null;
+    } catch (error) {
+      logger.debug(`配置文件读取失败: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * 获取配置值
    * @param {string} key 配置键，支持点表示法
@@ -196,7 +345,7 @@ class Config {
 
   /**
    * 设置配置值
-   * @param {string} key 配置键，支持点表示法
+   * @param {string|Array<string>} key 配置键，支持点表示法；键名中包含 "." 时（如模板名称）使用键数组
    * @param {any} value 配置值
    * @returns {boolean} 设置结果
    */
@@ -205,28 +354,30 @@ class Config {
       throw new Error('配置未加载，请先调用 load() 方法');
     }
 
-    const keys = key.split('.');
-    let current = this.config;
-
-    // 创建嵌套结构
-    for (let i = 0; i < keys.length - 1; i++) {
-      const k = keys[i];
-      if (!current[k] || typeof current[k] !== 'object') {
-        current[k] = {};
-      }
-      current = current[k];
-    }
-
-    // 设置值
-    current[keys[keys.length - 1]] = value;
+    const keys = this.parseKey(key);
+    setIn(this.config, keys, value);
+    this.changes.push({ keys, value });
 
-    logger.debug(`配置已更新: ${key} = ${JSON.stringify(value)}`);
+    logger.debug(`配置已更新: ${keys.join('.')} = ${JSON.stringify(value)}`);
     return true;
   }
 
+  /**
+   * 解析配置键
+   * @param {string|Array<string>} key 配置键，支持点表示法或键数组
+   * @returns {Array<string>} 键路径
+   */
+  parseKey(key) {
+    const keys = Array.isArray(key) ? key : key.split('.');
+    if (!validator.validateKeyPath(keys)) {
+      throw new Error(`无效的配置键: ${keys.join('.')}`);
+    }
+    return keys;
+  }
+
   /**
    * 删除配置
-   * @param {string} key 配置键
+   * @param {string|Array<string>} key 配置键，支持点表示法或键数组
    * @returns {boolean} 删除结果
    */
   delete(key) {
@@ -234,27 +385,14 @@ class Config {
       throw new Error('配置未加载，请先调用 load() 方法');
     }
 
-    const keys = key.split('.');
-    let current = this.config;
-
-    // 找到父对象
-    for (let i = 0; i < keys.length - 1; i++) {
-      const k = keys[i];
-      if (!current[k] || typeof current[k] !== 'object') {
-        return false; // 路径不存在
-      }
-      current = current[k];
-    }
-
-    // 删除属性
-    const lastKey = keys[keys.length - 1];
-    if (lastKey in current) {
-      delete current[lastKey];
-      logger.debug(`配置已删除: ${key}`);
-      return true;
+    const keys = this.parseKey(key);
+    if (!deleteIn(this.config, keys)) {
+      return false;
     }
 
-    return false;
+    this.changes.push({ keys, deleted: true });
+    logger.debug(`配置已删除: ${keys.join('.')}`);
+    return true;
   }
 
   /**
@@ -263,6 +401,7 @@ class Config {
    */
   async reset() {
     this.config = { ...this.defaultConfig };
+    this.replaced = true;
     const result = await this.save();
     if (result) {
       logger.info('配置已重置为默认值');
@@ -300,6 +439,16 @@ class Config {
           if (!result[key].official) result[key].official = {};
           if (!result[key].community) result[key].community = {};
           if (!result[key].custom) result[key].custom = {};
+
+          // 补全用户配置中内置模板缺少的字段（如新版本增加的框架元数据），已删除的内置模板不会恢复
+          for (const category of ['official', 'community']) {
+            const defaults = defaultConfig.templates?.[category] || {};
+            for (const [name, template] of Object.entries(result[key][category])) {
+              if (defaults[name]) {
+                result[key][category][name] = { ...defaults[name], ...template };
+              }
+            }
+          }
         } else if (
           typeof userConfig[key] === 'object' &&
           userConfig[key] !== null &&
@@ -332,8 +481,11 @@ class Config {
       gitInit: (val) => typeof val === 'boolean',
       installDeps: (val) => typeof val === 'boolean',
       registry: (val) => typeof val === 'string' && val.startsWith('http'),
+      defaultTemplate: (val) => typeof val === 'string' && this.hasTemplate(val),
       'templates.cache': (val) => typeof val === 'boolean',
       'templates.cacheTime': (val) => typeof val === 'number' && val > 0,
+      'templates.cacheMaxSize': (val) => fileUtils.parseSize(val) !== null,
+      'templates.offline': (val) => typeof val === 'boolean',
       'user.name': (val) => typeof val === 'string',
       'user.email': (val) => typeof val === 'string',
       'user.author': (val) => typeof val === 'string',
@@ -345,6 +497,11 @@ class Config {
       return validator(value);
     }
 
+    // 框架默认模板必须是已有的模板
+    if (key.startsWith('defaults.')) {
+      return typeof value === 'string' && this.hasTemplate(value);
+    }
+
     // 如果没有特定验证器，默认通过
     return true;
   }
@@ -383,6 +540,7 @@ class Config {
 
       // 合并配置
       this.config = this.mergeConfig(this.defaultConfig, importedConfig);
+      this.replaced = true;
 
       // 保存合并后的配置
       const saved = await this.save();
@@ -413,6 +571,36 @@ class Config {
     return this.configDir;
   }
 
+  /**
+   * 保存预设
+   * @param {string} name 预设名称
+   * @param {Object} answers 预设的答案
+   * @returns {Promise<boolean>} 保存结果
+   */
+  async savePreset(name, answers) {
+    if (!this.loaded) {
+      throw new Error('配置未加载，请先调用 load() 方法');
+    }
+
+    // 名称用作配置键，不能包含 "."
+    if (!name || typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+      throw new Error('预设名称只能包含字母、数字、下划线和连字符');
+    }
+
+    this.set(['presets', name], answers);
+    return await this.save();
+  }
+
+  /**
+   * 获取预设
+   * @param {string} name 预设名称
+   * @returns {Object|null} 预设的答案，不存在时返回 null
+   */
+  getPreset(name) {
+    const presets = this.get('presets', {});
+    return Object.hasOwn(presets, name) ? presets[name] : null;
+  }
+
   /**
    * 添加自定义模板
    * @param {string} name 模板名称
@@ -442,15 +630,12 @@ class Config {
     }
 
     // 添加自定义模板
-    const customTemplates = this.get('templates.custom', {});
-    customTemplates[name] = {
+    this.set(['templates', 'custom', name], {
       repo,
       description,
       tags: Array.isArray(tags) ? tags : [],
       addedAt: Date.now(),
-    };
-
-    this.set('templates.custom', customTemplates);
+    });
     const saved = await this.save();
 
     if (saved) {
@@ -479,22 +664,16 @@ class Config {
 
     if (name in customTemplates) {
       category = 'custom';
-      delete customTemplates[name];
-      this.set('templates.custom', customTemplates);
     } else if (name in officialTemplates) {
       category = 'official';
-      const updatedOfficialTemplates = { ...officialTemplates };
-      delete updatedOfficialTemplates[name];
-      this.set('templates.official', updatedOfficialTemplates);
     } else if (name in communityTemplates) {
       category = 'community';
-      const updatedCommunityTemplates = { ...communityTemplates };
-      delete updatedCommunityTemplates[name];
-      this.set('templates.community', updatedCommunityTemplates);
     } else {
       throw new Error(`模板 "${name}" 不存在`);
     }
 
+    this.delete(['templates', category, name]);
+
     const saved = await this.save();
 
     return { success: saved, category };
@@ -531,13 +710,11 @@ class Config {
     }
 
     // 合并更新
-    customTemplates[name] = {
+    this.set(['templates', 'custom', name], {
       ...customTemplates[name],
       ...updates,
       updatedAt: Date.now(),
-    };
-
-    this.set('templates.custom', customTemplates);
+    });
     const saved = await this.save();
 
     if (saved) {
@@ -649,6 +826,23 @@ class Config {
     return results;
   }
 
+  /**
+   * 按模板元数据查找模板
+   * @param {Object} criteria 元数据条件，如 { framework: 'react', language: 'ts', compiler: 'swc' }，值为 undefined 的条件会被忽略
+   * @returns {Array<string>} 匹配的模板名称（官方模板在前）
+   */
+  findTemplates(criteria) {
+    if (!this.loaded) {
+      throw new Error('配置未加载，请先调用 load() 方法');
+    }
+
+    return Object.entries(this.getAllTemplates())
+      .filter(([, template]) =>
+        Object.entries(criteria).every(([field, value]) => value === undefined || template[field] === value)
+      )
+      .map(([name]) => name);
+  }
+
   /**
    * 恢复默认官方模板
    * @returns {Promise<boolean>} 恢复结果
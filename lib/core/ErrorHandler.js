@@ -116,6 +116,74 @@ class ErrorHandler {
         '• 确保网络连接正常',
       ],
 
+      NO_TEMPLATE_SPECIFIED: [
+        '未指定模板:',
+        '• 使用 -t、-p 或 -r 指定模板',
+        '• 使用 terrafe config set defaultTemplate <name> 设置默认模板',
+        '• 使用 terrafe config set defaults.<framework> <name> 设置框架的默认模板，并通过 --framework 选择',
+      ],
+
+      TEMPLATE_MANIFEST_ERROR: [
+        '模板清单有误:',
+        '• 检查 terrafe.config.js / terrafe.json 的语法',
+        '• prompts 中每一项都需要 name 字段',
+        '• 使用 --verbose 参数查看详细错误信息',
+      ],
+
+      TEMPLATE_HOOK_ERROR: [
+        '模板钩子执行失败:',
+        '• 这通常是模板本身的问题，请联系模板作者',
+        '• 使用 --verbose 参数查看详细错误信息',
+      ],
+
+      FEATURE_NOT_FOUND: [
+        '功能未找到:',
+        '• 运行 terrafe add 查看内置功能',
+        '• 也可以指定本地功能模板目录或 GitHub 仓库 (owner/repo)',
+      ],
+
+      PROJECT_NOT_FOUND: ['未找到项目:', '• 请在项目根目录（包含 package.json）中运行', '• 或使用 --cwd 指定项目目录'],
+
+      PROJECT_RECORD_NOT_FOUND: [
+        '未找到项目记录:',
+        '• 只有 TerraFE 创建的项目包含 .terrafe.json，才能使用 terrafe upgrade',
+        '• 请在项目根目录中运行，或使用 --cwd 指定项目目录',
+      ],
+
+      ANSWERS_FILE_ERROR: [
+        '无法读取答案文件:',
+        '• --from 可以使用项目的 .terrafe.json 或项目目录，普通答案文件需要通过 -t、-p 或 -r 指定模板',
+        '• --answers 支持 JSON 和 YAML (.yml / .yaml) 文件，内容必须是对象',
+      ],
+
+      PRESET_NOT_FOUND: [
+        '预设未找到:',
+        '• 交互式创建项目时在确认页中选择"保存为预设"',
+        '• 运行 terrafe config get presets 查看已保存的预设',
+      ],
+
+      INVALID_ADDONS: ['附加功能冲突:', '• Vitest 和 Jest 只能选择一个'],
+
+      INVALID_SET_OPTION: ['无效的 --set 参数:', '• 格式为 key=value，可以使用 a.b.c 形式的路径', '• 值按 JSON 解析，无法解析时作为字符串'],
+
+      MISSING_ANSWERS: [
+        '缺少模板询问的答案:',
+        '• 非交互环境中无法询问，请使用 --set <name>=<value> 或 --answers <file> 提供答案',
+        '• 也可以在终端中运行以交互式回答',
+      ],
+
+      UNCOMMITTED_CHANGES: [
+        '项目有未提交的修改:',
+        '• 先提交或暂存 (git stash) 当前修改，方便查看和撤销本次变更',
+        '• 使用 --force 参数忽略此检查',
+      ],
+
+      LOCK_TIMEOUT: [
+        '等待其他 terrafe 进程超时:',
+        '• 其他进程可能仍在下载模板或写入配置，请稍后重试',
+        '• 确认没有 terrafe 进程在运行后，可以删除提示中的 .lock 目录',
+      ],
+
       PERMISSION_DENIED: [
         '权限不足:',
         '• 检查目录写入权限',
@@ -1,16 +1,28 @@
 import path from 'path';
+import os from 'os';
 import fs from 'fs-extra';
 import ora from 'ora';
 import chalk from 'chalk';
-import Handlebars from 'handlebars';
+import inquirer from 'inquirer';
 import logger from '../utils/logger.js';
 import fileUtils from '../utils/file.js';
 import gitUtils from '../utils/git.js';
 import npmUtils from '../utils/npm.js';
 import validator from '../utils/validate.js';
+import diffUtils from '../utils/diff.js';
 import errorHandler, { TerraFEError } from './ErrorHandler.js';
 import CacheManager from '../cache/CacheManager.js';
 import config from './Config.js';
+import Template from './Template.js';
+import Renderer from './Renderer.js';
+import { getEscapeStrategy } from './escape.js';
+import {
+  readProjectRecord,
+  writeProjectRecord,
+  omitSecrets,
+  getTerrafeVersion,
+  PROJECT_RECORD_FILE,
+} from './ProjectRecord.js';
 
 /**
  * 项目生成器核心类
@@ -21,6 +33,11 @@ class Generator {
     this.options = {};
     this.context = {};
     this.cacheManager = null;
+    this.template = null;
+    this.renderer = new Renderer();
+    this.nextSteps = [];
+    this.tempDirs = [];
+    this.skippedHooks = [];
   }
 
   /**
@@ -31,6 +48,14 @@ class Generator {
     this.cacheManager = new CacheManager(config);
   }
 
+  /**
+   * 是否处于离线模式（--offline 或配置 templates.offline），离线时只使用缓存的模板
+   * @returns {boolean} 是否离线
+   */
+  isOffline() {
+    return Boolean(this.options.offline) || this.cacheManager.offline;
+  }
+
   /**
    * 设置生成选项
    * @param {Object} options 生成选项
@@ -66,11 +91,18 @@ class Generator {
 
       // 检查目标目录是否存在
       if (fileUtils.exists(targetDir)) {
-        if (!this.options.force) {
+        if (this.options.merge) {
+          if (!(await fileUtils.isDirectory(targetDir))) {
+            throw errorHandler.createError(`"${targetDir}" 不是目录，无法合并`, 'DIRECTORY_EXISTS', { targetDir });
+          }
+          logger.info(`将合并到现有目录: ${targetDir}`);
+        } else if (this.options.dryRun) {
+          logger.warn(`目录 "${targetDir}" 已存在，实际创建时需要使用 --force`);
+        } else if (!this.options.force) {
           throw errorHandler.createError(`目录 "${targetDir}" 已存在`, 'DIRECTORY_EXISTS', { targetDir });
         } else {
-          logger.warn(`将清空现有目录: ${targetDir}`);
-          await fileUtils.remove(targetDir);
+          // 不在此处删除，现有目录会在项目生成成功后才被替换
+          logger.warn(`项目生成成功后将替换现有目录: ${targetDir}`);
         }
       }
 
@@ -101,8 +133,60 @@ class Generator {
     }
   }
 
+  /**
+   * 获取暂存目录路径
+   * 暂存目录与目标目录位于同一父目录下，保证最终可以通过重命名完成替换
+   * @param {string} targetDir 目标目录
+   * @returns {string} 暂存目录路径
+   */
+  getStagingDir(targetDir) {
+    return path.join(path.dirname(targetDir), `.${path.basename(targetDir)}.terrafe-staging-${process.pid}`);
+  }
+
+  /**
+   * 将暂存目录替换为目标目录
+   * 现有目标目录会先重命名为备份，替换成功后才删除；替换失败时恢复备份
+   * @param {string} stagingDir 暂存目录
+   * @param {string} targetDir 目标目录
+   * @returns {Promise<boolean>} 替换结果
+   */
+  async commitStagingDir(stagingDir, targetDir) {
+    let backupDir = null;
+
+    if (fileUtils.exists(targetDir)) {
+      backupDir = path.join(path.dirname(targetDir), `.${path.basename(targetDir)}.terrafe-backup-${Date.now()}`);
+      await fileUtils.move(targetDir, backupDir);
+      logger.debug(`现有目录已备份: ${backupDir}`);
+    }
+
+    try {
+      await fileUtils.move(stagingDir, targetDir);
+    } catch (error) {
+      if (backupDir) {
+        await fileUtils.move(backupDir, targetDir);
+        logger.debug('已从备份恢复现有目录');
+      }
+      throw errorHandler.createError(`无法将生成的项目移动到目标目录: ${error.message}`, 'PERMISSION_DENIED', {
+        stagingDir,
+        targetDir,
+        originalError: error,
+      });
+    }
+
+    if (backupDir) {
+      try {
+        await fileUtils.remove(backupDir);
+      } catch (error) {
+        logger.warn(`旧目录备份删除失败，请手动删除: ${backupDir}`);
+      }
+    }
+
+    return true;
+  }
+
   /**
    * 获取模板路径
+   * 指定 commit 时获取模板在该提交的版本（用于按项目记录重新生成）
    * @param {Object} templateInfo 模板信息
    * @returns {Promise<string>} 模板路径
    */
@@ -114,13 +198,22 @@ class Generator {
           templatePath: templateInfo.path,
         });
       }
+      if (templateInfo.commit) {
+        return await this.getLocalRevision(templateInfo.path, templateInfo.commit);
+      }
       return templateInfo.path;
     } else if (templateInfo.type === 'github') {
       // GitHub 模板，使用缓存管理器
+      templateInfo = { ...templateInfo, repo: this.getCacheRepo(templateInfo) };
       const spinner = ora('正在获取模板...').start();
 
       try {
-        const templatePath = await this.cacheManager.getTemplate(templateInfo.repo);
+        // refresh 时跳过缓存，用于获取分支的最新版本；离线时只使用缓存
+        const offline = this.isOffline();
+        const templatePath =
+          templateInfo.refresh && !offline
+            ? await this.cacheManager.downloadAndCache(templateInfo.repo)
+            : await this.cacheManager.getTemplate(templateInfo.repo, { offline });
         spinner.succeed('模板获取成功');
         return templatePath;
       } catch (error) {
@@ -137,13 +230,126 @@ class Generator {
     }
   }
 
+  /**
+   * 获取本地模板在指定提交的版本
+   * 当前版本即为该提交时直接使用模板目录，否则从模板所在的Git仓库导出到临时目录
+   * @param {string} templatePath 模板路径
+   * @param {string} commit 提交哈希
+   * @returns {Promise<string>} 模板路径
+   */
+  async getLocalRevision(templatePath, commit) {
+    if (!gitUtils.getRepositoryRoot(templatePath)) {
+      logger.warn(`本地模板不在Git仓库中，无法获取版本 ${commit.slice(0, 7)}，使用当前版本`);
+      return templatePath;
+    }
+
+    if (gitUtils.getHeadCommit(templatePath) === commit && !gitUtils.hasUncommittedChanges(templatePath)) {
+      return templatePath;
+    }
+
+    const exportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'terrafe-template-'));
+    this.tempDirs.push(exportDir);
+
+    const revisionPath = await this.exportLocalRevision(templatePath, commit, exportDir);
+    if (!revisionPath) {
+      throw errorHandler.createError(`无法获取本地模板的版本 ${commit}`, 'TEMPLATE_NOT_FOUND', {
+        templatePath,
+        commit,
+      });
+    }
+    return revisionPath;
+  }
+
+  /**
+   * 从本地模板所在的Git仓库导出指定提交
+   * @param {string} templatePath 模板路径
+   * @param {string} commit 提交哈希
+   * @param {string} exportDir 导出目录
+   * @returns {Promise<string|null>} 导出后的模板路径，失败时返回 null
+   */
+  async exportLocalRevision(templatePath, commit, exportDir) {
+    const repoRoot = gitUtils.getRepositoryRoot(templatePath);
+    if (!repoRoot || !(await gitUtils.exportCommit(repoRoot, commit, exportDir))) {
+      return null;
+    }
+
+    // 模板可以位于仓库的子目录中
+    return fileUtils.join(exportDir, path.relative(fs.realpathSync(repoRoot), fs.realpathSync(templatePath)));
+  }
+
+  /**
+   * 清理获取模板时创建的临时目录
+   */
+  async cleanupTempDirs() {
+    for (const dir of this.tempDirs.splice(0)) {
+      await fileUtils.remove(dir);
+    }
+  }
+
+  /**
+   * 加载模板清单并执行模板自定义询问
+   * @param {string} templatePath 模板路径
+   * @param {Object} context 已知的模板数据
+   * @param {Object} answers 已有答案，对应的询问不再执行
+   * @returns {Promise<Object>} 模板询问结果
+   */
+  async loadTemplate(templatePath, context = {}, answers = {}) {
+    this.template = new Template(templatePath);
+    await this.template.load();
+
+    this.renderer = new Renderer({ delimiters: this.template.getDelimiters() });
+    this.renderer.registerHelpers(this.template.getHelpers());
+    await this.renderer.loadPartials(this.template.partialsPath);
+
+    return await this.template.prompt({
+      interactive: this.options.interactive !== false && Boolean(process.stdin.isTTY),
+      context,
+      answers,
+      strict: Boolean(this.options.requireAnswers),
+    });
+  }
+
+  /**
+   * 执行模板生命周期钩子
+   * @param {string} name 钩子名称
+   * @param {string} targetDir 当前生成目录（暂存目录）
+   * @param {Object} templateData 模板数据
+   * @param {Object} answers 模板询问结果
+   * @param {Template} template 钩子所属的模板，默认为当前模板
+   */
+  async runTemplateHook(name, targetDir, templateData, answers, template = this.template) {
+    // 预览模式不执行模板中的代码，只记录实际创建时将执行的钩子
+    if (this.options.dryRun) {
+      if (typeof template.manifest[name] === 'function') {
+        this.skippedHooks.push(name);
+      }
+      return;
+    }
+
+    await template.runHook(name, templateData, {
+      answers,
+      projectName: templateData.projectName,
+      targetDir,
+      // 钩子读写的是当前生成目录，项目的最终位置通过 finalDir 提供
+      projectDir: targetDir,
+      finalDir: this.options.projectDir || fileUtils.resolve(process.cwd(), templateData.projectName),
+      packageManager: this.options.packageManager,
+      skipGit: Boolean(this.options.skipGit),
+      skipInstall: Boolean(this.options.skipInstall),
+      logger,
+      files: fileUtils.scoped(targetDir),
+      nextSteps: this.nextSteps,
+    });
+  }
+
   /**
    * 复制模板文件
    * @param {string} templatePath 模板路径
    * @param {string} targetDir 目标目录
+   * @param {Object} templateData 模板数据，用于计算清单中的文件规则
    * @returns {Promise<boolean>} 复制结果
    */
-  async copyTemplate(templatePath, targetDir) {
+  async copyTemplate(templatePath, targetDir, templateData = {}) {
     try {
       if (!fileUtils.exists(templatePath)) {
         throw errorHandler.createError('模板路径不存在', 'TEMPLATE_NOT_FOUND', { templatePath });
@@ -151,15 +357,28 @@ class Generator {
 
       const spinner = ora('正在复制模板文件...').start();
 
-      // 检查是否有template子目录
-      const nestedTemplatePath = fileUtils.join(templatePath, 'template');
-      if (fileUtils.exists(nestedTemplatePath)) {
-        // 如果有template子目录，复制其内容
-        await fileUtils.copy(nestedTemplatePath, targetDir);
-      } else {
-        // 否则复制整个模板目录
-        await fileUtils.copy(templatePath, targetDir);
-      }
+      // 有template子目录时只复制其内容，否则复制整个模板目录（不含清单文件和局部模板）
+      const template = this.template || new Template(templatePath);
+      const sourcePath = template.sourcePath;
+      await fileUtils.copy(sourcePath, targetDir, {
+        filter: async (src) => {
+          if (src === sourcePath) {
+            return true;
+          }
+          if (template.isInternalFile(src)) {
+            return false;
+          }
+
+          // 被忽略的目录不会继续遍历（.git、node_modules 等）
+          const relativePath = path.relative(sourcePath, src);
+          const isDirectory = await fileUtils.isDirectory(src);
+          if (template.isIgnored(relativePath, isDirectory)) {
+            logger.debug(`忽略: ${relativePath}`);
+            return false;
+          }
+          return template.shouldInclude(relativePath, templateData, isDirectory);
+        },
+      });
 
       spinner.succeed('模板文件复制完成');
 
@@ -286,8 +505,9 @@ class Generator {
    * 递归处理目录
    * @param {string} dirPath 目录路径
    * @param {Object} templateData 模板数据
+   * @param {string} rootDir 项目根目录
    */
-  async processDirectory(dirPath, templateData) {
+  async processDirectory(dirPath, templateData, rootDir = dirPath) {
     const files = await fileUtils.readDir(dirPath);
 
     for (const file of files) {
@@ -295,21 +515,29 @@ class Generator {
       const stats = await fileUtils.stat(filePath);
 
       if (stats.isDirectory()) {
+        // 原样复制的目录不再遍历
+        if (this.template && this.template.isVerbatim(path.relative(rootDir, filePath), true)) {
+          continue;
+        }
+
         // 递归处理子目录
-        await this.processDirectory(filePath, templateData);
+        await this.processDirectory(filePath, templateData, rootDir);
 
         // 处理目录名中的变量
-        const newDirName = this.replaceVariables(file, templateData);
+        const newDirName = this.replaceNameVariables(file, templateData);
         if (newDirName !== file) {
           const newDirPath = fileUtils.join(dirPath, newDirName);
           await fileUtils.move(filePath, newDirPath);
         }
       } else {
         // 处理文件
-        await this.processFile(filePath, templateData);
+        const rendered = await this.processFile(filePath, templateData, rootDir);
 
-        // 处理文件名中的变量
-        const newFileName = this.replaceVariables(file, templateData);
+        // 处理文件名中的变量，渲染过的 .hbs 文件去掉该后缀
+        let newFileName = this.replaceNameVariables(file, templateData);
+        if (rendered && newFileName.endsWith('.hbs') && newFileName !== '.hbs') {
+          newFileName = newFileName.slice(0, -'.hbs'.length);
+        }
         if (newFileName !== file) {
           const newFilePath = fileUtils.join(dirPath, newFileName);
           await fileUtils.move(filePath, newFilePath);
@@ -318,56 +546,88 @@ class Generator {
     }
   }
 
+  /**
+   * 判断文件是否应作为文本处理
+   * 优先使用模板清单中的 text / binary 配置，否则根据文件内容检测
+   * @param {string} filePath 文件路径
+   * @param {string} rootDir 项目根目录
+   * @returns {Promise<boolean>} 是否为文本文件
+   */
+  async isTextFile(filePath, rootDir) {
+    const forcedType = this.template ? this.template.getForcedFileType(path.relative(rootDir, filePath)) : null;
+    if (forcedType) {
+      return forcedType === 'text';
+    }
+
+    return !(await fileUtils.isBinaryFile(filePath));
+  }
+
   /**
    * 处理单个文件
    * @param {string} filePath 文件路径
    * @param {Object} templateData 模板数据
+   * @param {string} rootDir 项目根目录
+   * @returns {Promise<boolean>} 是否作为文本文件进行了变量处理
    */
-  async processFile(filePath, templateData) {
-    const ext = fileUtils.getExt(filePath);
-    const textExtensions = [
-      '.js',
-      '.ts',
-      '.jsx',
-      '.tsx',
-      '.vue',
-      '.json',
-      '.md',
-      '.txt',
-      '.html',
-      '.css',
-      '.scss',
-      '.less',
-    ];
+  async processFile(filePath, templateData, rootDir = fileUtils.getDirname(filePath)) {
+    const relativePath = path.relative(rootDir, filePath);
 
-    // 只处理文本文件
-    if (textExtensions.includes(ext)) {
-      const content = await fileUtils.readFile(filePath);
-      const processedContent = this.replaceVariables(content, templateData);
+    // 清单中声明原样复制的文件（默认包括 Vue/Svelte 单文件组件）
+    if (this.template && this.template.isVerbatim(relativePath)) {
+      logger.debug(`原样复制: ${relativePath}`);
+      return false;
+    }
 
-      if (processedContent !== content) {
-        await fileUtils.writeFile(filePath, processedContent);
-      }
+    // 二进制文件（图片、字体等）原样保留
+    if (!(await this.isTextFile(filePath, rootDir))) {
+      return false;
+    }
+
+    const content = await fileUtils.readFile(filePath);
+    let processedContent;
+    try {
+      processedContent = this.replaceVariables(content, templateData, getEscapeStrategy(relativePath));
+    } catch (error) {
+      // 渲染失败的文件保持原样，避免被部分替换
+      const lines = error.message.split('\n');
+      const reason = lines.length > 1 ? `${lines[0]} ${lines[lines.length - 1]}` : lines[0];
+      logger.warn(`文件 ${relativePath} 变量处理失败，已原样保留: ${reason}`);
+      logger.debug('可在模板清单的 verbatim 中声明该文件，或使用 {{{{raw}}}}...{{{{/raw}}}} 包裹原始内容');
+      return false;
     }
+
+    if (processedContent !== content) {
+      await fileUtils.writeFile(filePath, processedContent);
+    }
+
+    return true;
   }
 
   /**
    * 替换变量
+   * 使用 Handlebars 进行模板渲染，支持内置助手、模板助手、局部模板和自定义定界符
    * @param {string} content 内容
    * @param {Object} data 数据
+   * @param {string} escape 转义策略，由文件类型决定（见 escape.js）
    * @returns {string} 替换后的内容
+   * @throws {Error} 模板语法错误
    */
-  replaceVariables(content, data) {
+  replaceVariables(content, data, escape = 'none') {
+    return this.renderer.render(content, data, { escape });
+  }
+
+  /**
+   * 替换文件名或目录名中的变量，渲染失败时保留原名称
+   * @param {string} name 文件名或目录名
+   * @param {Object} data 数据
+   * @returns {string} 替换后的名称
+   */
+  replaceNameVariables(name, data) {
     try {
-      // 使用 Handlebars 进行模板渲染，支持更复杂的语法
-      const template = Handlebars.compile(content);
-      return template(data);
+      return this.replaceVariables(name, data);
     } catch (error) {
-      // 如果 Handlebars 失败，使用简单的字符串替换
-      logger.debug(`Handlebars 渲染失败，使用简单替换: ${error.message}`);
-      return content.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-        return data[key] !== undefined ? data[key] : match;
-      });
+      logger.debug(`名称 ${name} 变量处理失败: ${error.message}`);
+      return name;
     }
   }
 
@@ -383,6 +643,12 @@ class Generator {
         return true;
       }
 
+      // 合并到已有仓库时不重新初始化，也不自动提交
+      if (fileUtils.exists(fileUtils.join(targetDir, '.git'))) {
+        logger.info('目标目录已是Git仓库，跳过初始化');
+        return true;
+      }
+
       const spinner = ora('正在初始化Git仓库...').start();
       const success = await gitUtils.setupInitialCommit(targetDir);
 
@@ -455,70 +721,964 @@ class Generator {
     await this.init();
 
     this.setOptions(options);
+    this.nextSteps = [];
 
     const targetDir = fileUtils.resolve(process.cwd(), projectName);
+    // 所有步骤都在暂存目录中进行，全部成功后才替换目标目录
+    const stagingDir = this.getStagingDir(targetDir);
 
     try {
       // 1. 验证项目
       await this.validateProject(projectName, targetDir);
 
-      // 2. 创建项目目录
-      await this.createProjectDirectory(targetDir);
+      // 2. 创建暂存目录
+      await fileUtils.remove(stagingDir);
+      await this.createProjectDirectory(stagingDir);
 
-      // 3. 获取并复制模板文件
-      let templatePath;
-      if (options.template) {
-        templatePath = await this.getTemplatePath(options.template);
-      } else if (options.templatePath) {
-        templatePath = options.templatePath;
-      } else {
-        throw errorHandler.createError('未指定模板', 'NO_TEMPLATE_SPECIFIED');
-      }
+      // 3. 获取模板
+      const { templatePath, answers, templateData } = await this.resolveTemplate(projectName, options);
 
-      await this.copyTemplate(templatePath, targetDir);
+      // 4. 智能检测并设置包管理器（基于模板中的锁文件，锁文件本身默认不复制）
+      await this.detectAndSetPackageManager(this.template.sourcePath, options.packageManager);
 
-      // 4. 智能检测并设置包管理器（基于模板中的锁文件）
-      await this.detectAndSetPackageManager(targetDir, options.packageManager);
+      // 5-6. 复制模板文件、处理模板变量、更新package.json文件
+      await this.renderTemplate(templatePath, stagingDir, templateData, answers);
 
-      // 5. 处理模板变量
-      const templateData = {
-        projectName,
-        ...options.templateData,
-        // 添加更多有用的变量
-        currentYear: new Date().getFullYear(),
-        currentDate: new Date().toISOString().split('T')[0],
-        nodeVersion: process.version,
-      };
-      await this.processTemplateVariables(targetDir, templateData);
+      // 添加选择的附加功能，依赖随项目一起安装
+      const features = await this.applyFeatures(stagingDir);
 
-      // 6. 更新package.json文件
-      await this.updatePackageJson(targetDir, templateData);
+      // 记录模板来源，供 upgrade 命令使用
+      const record = await this.createProjectRecord(templatePath, options, answers);
 
-      // 7. 初始化Git仓库
-      await this.initializeGit(targetDir);
+      if (this.options.merge) {
+        // 7. 合并到现有目录，Git 初始化和依赖安装在目标目录中进行
+        await this.mergeStagingDir(stagingDir, targetDir);
+        await writeProjectRecord(targetDir, record);
+        await this.finishProject(targetDir, templateData, answers, features);
+      } else {
+        // 7-8. 初始化Git仓库、安装依赖
+        await writeProjectRecord(stagingDir, record);
+        await this.finishProject(stagingDir, templateData, answers, features);
 
-      // 8. 安装依赖
-      await this.installDependencies(targetDir);
+        // 9. 用暂存目录替换目标目录
+        await this.commitStagingDir(stagingDir, targetDir);
+      }
 
-      // 9. 项目创建完成
+      // 10. 项目创建完成
       this.showCompletionMessage(projectName, targetDir);
 
       return true;
     } catch (error) {
-      // 清理失败的项目
-      if (fileUtils.exists(targetDir)) {
+      // 清理暂存目录，目标目录保持原样
+      if (fileUtils.exists(stagingDir)) {
         try {
-          await fileUtils.remove(targetDir);
-          logger.debug(`清理失败的项目目录: ${targetDir}`);
+          await fileUtils.remove(stagingDir);
+          logger.debug(`清理暂存目录: ${stagingDir}`);
         } catch (cleanupError) {
           logger.debug(`清理失败: ${cleanupError.message}`);
         }
       }
 
       throw error;
+    } finally {
+      await this.cleanupTempDirs();
+    }
+  }
+
+  /**
+   * 将模板渲染到目录：复制模板文件、处理模板变量、更新package.json，并执行对应的生命周期钩子
+   * @param {string} templatePath 模板路径
+   * @param {string} targetDir 渲染目录
+   * @param {Object} templateData 模板数据
+   * @param {Object} answers 模板询问结果
+   */
+  async renderTemplate(templatePath, targetDir, templateData, answers) {
+    await this.copyTemplate(templatePath, targetDir, templateData);
+    await this.runTemplateHook('beforeRender', targetDir, templateData, answers);
+
+    await this.processTemplateVariables(targetDir, templateData);
+    await this.runTemplateHook('afterRender', targetDir, templateData, answers);
+
+    await this.updatePackageJson(targetDir, templateData);
+    await this.runTemplateHook('afterPackageJson', targetDir, templateData, answers);
+  }
+
+  /**
+   * 生成项目记录（写入 .terrafe.json）
+   * 记录模板来源和版本、TerraFE 版本、生成时间，以及去掉保密字段后的项目信息和询问答案
+   * @param {string} templatePath 模板路径
+   * @param {Object} options 生成选项
+   * @param {Object} answers 模板询问结果
+   * @returns {Promise<Object>} 项目记录
+   */
+  async createProjectRecord(templatePath, options, answers) {
+    const templateInfo = options.template || { type: 'local', path: templatePath };
+    const secretNames = this.template.getSecretNames();
+
+    return {
+      terrafeVersion: await getTerrafeVersion(),
+      createdAt: new Date().toISOString(),
+      template: {
+        ...(templateInfo.name ? { name: templateInfo.name } : {}),
+        type: templateInfo.type,
+        ...(templateInfo.type === 'github' ? { repo: templateInfo.repo } : { path: path.resolve(templateInfo.path) }),
+        ...(await this.getTemplateRevision(templateInfo, templatePath)),
+      },
+      packageManager: this.options.packageManager,
+      ...(options.features?.length > 0 ? { addons: options.features.map((feature) => feature.name) } : {}),
+      data: omitSecrets(options.templateData, secretNames),
+      answers: omitSecrets(answers, secretNames),
+    };
+  }
+
+  /**
+   * 获取模板版本
+   *   version   清单中的 version
+   *   commit    模板仓库的提交哈希，GitHub 模板为下载时固定的提交（记录在缓存元数据中），未知时为 null
+   *   resolved  GitHub 模板固定到该提交的仓库地址（无法获取提交时为实际下载地址）
+   *   hash      GitHub 模板缓存内容的 sha256
+   * @param {Object} templateInfo 模板信息
+   * @param {string} templatePath 模板路径
+   * @returns {Promise<Object>} 模板版本
+   */
+  async getTemplateRevision(templateInfo, templatePath) {
+    const version = this.template.manifest.version ?? null;
+
+    if (templateInfo.type !== 'github') {
+      const commit = gitUtils.getRepositoryRoot(templatePath) ? gitUtils.getHeadCommit(templatePath) : null;
+      return { version, commit };
+    }
+
+    // 不查询分支当前的提交：缓存的模板可能是较早下载的，分支之后的提交并不是项目所用的版本
+    const repo = this.getCacheRepo(templateInfo);
+    const commit = await this.cacheManager.getTemplateCommit(repo);
+
+    return {
+      resolved:
+        (commit && this.cacheManager.pinRepoUrl(templateInfo.repo, commit)) ||
+        this.cacheManager.parseGitUrl(templateInfo.repo),
+      version,
+      commit,
+      hash: await this.cacheManager.getTemplateHash(repo),
+    };
+  }
+
+  /**
+   * 获取 GitHub 模板在缓存中使用的仓库地址，指定了提交时固定到该提交
+   * @param {Object} templateInfo 模板信息
+   * @returns {string} 仓库地址
+   */
+  getCacheRepo(templateInfo) {
+    const { repo, commit } = templateInfo;
+    return (commit && this.cacheManager.pinRepoUrl(repo, commit)) || repo;
+  }
+
+  /**
+   * 初始化Git仓库并安装依赖
+   * @param {string} projectDir 项目目录（暂存目录，合并模式下为目标目录）
+   * @param {Object} templateData 模板数据
+   * @param {Object} answers 模板询问结果
+   * @param {Array<Object>} features 已添加的附加功能，依赖安装后执行各自的 complete 钩子
+   */
+  async finishProject(projectDir, templateData, answers, features = []) {
+    await this.initializeGit(projectDir);
+    await this.runTemplateHook('afterGit', projectDir, templateData, answers);
+
+    await this.installDependencies(projectDir);
+    await this.runTemplateHook('complete', projectDir, templateData, answers);
+
+    for (const feature of features) {
+      await this.runTemplateHook('complete', projectDir, feature.templateData, feature.answers, feature.template);
+    }
+  }
+
+  /**
+   * 添加创建项目时选择的附加功能 (options.features)
+   * 模板中已有的同名文件保持不变，依赖写入 package.json，由后续的依赖安装一并安装
+   * @param {string} projectDir 项目目录（暂存目录）
+   * @returns {Promise<Array<Object>>} 已添加的功能
+   */
+  async applyFeatures(projectDir) {
+    const features = this.options.features || [];
+    if (features.length === 0) {
+      return [];
+    }
+
+    if (!fileUtils.exists(fileUtils.join(projectDir, 'package.json'))) {
+      logger.warn('模板中没有 package.json，跳过附加功能');
+      return [];
+    }
+
+    const applied = [];
+    for (const featureInfo of features) {
+      logger.info(`🧩 添加功能: ${chalk.cyan(featureInfo.name)}`);
+      applied.push(await this.applyFeature(featureInfo, projectDir, { writeDependencies: true, conflict: 'skip' }));
+    }
+    return applied;
+  }
+
+  /**
+   * 将暂存目录中的文件合并到现有目录
+   * 内容相同的文件直接跳过，冲突文件按 --conflict 指定的方式处理，未指定时交互式询问；
+   * 非交互环境下默认写入 <文件>.terrafe-new，不修改现有文件
+   * @param {string} stagingDir 暂存目录
+   * @param {string} targetDir 目标目录
+   * @param {string|null} strategy 冲突文件的统一处理方式，默认按生成选项确定
+   * @returns {Promise<Object>} 各类文件列表
+   */
+  async mergeStagingDir(stagingDir, targetDir, strategy = this.getConflictStrategy()) {
+    const result = { created: [], overwritten: [], skipped: [], renamed: [], unchanged: [] };
+    let applyToAll = strategy;
+
+    for (const file of await fileUtils.listFiles(stagingDir)) {
+      const src = fileUtils.join(stagingDir, file);
+      const dest = fileUtils.join(targetDir, file);
+
+      if (!fileUtils.exists(dest)) {
+        await fileUtils.copy(src, dest);
+        result.created.push(file);
+        continue;
+      }
+
+      if (await fileUtils.isSameContent(src, dest)) {
+        result.unchanged.push(file);
+        continue;
+      }
+
+      let action = applyToAll || (await this.promptConflict(file, src, dest));
+      if (action.endsWith('All')) {
+        action = action.slice(0, -'All'.length);
+        applyToAll = action;
+      }
+
+      if (action === 'overwrite') {
+        await fileUtils.copy(src, dest, { overwrite: true });
+        result.overwritten.push(file);
+      } else if (action === 'new') {
+        await fileUtils.copy(src, `${dest}.terrafe-new`, { overwrite: true });
+        result.renamed.push(`${file}.terrafe-new`);
+      } else {
+        result.skipped.push(file);
+      }
+    }
+
+    await fileUtils.remove(stagingDir);
+
+    logger.success(
+      `合并完成: 新增 ${result.created.length} 个，覆盖 ${result.overwritten.length} 个，` +
+        `跳过 ${result.skipped.length} 个，相同 ${result.unchanged.length} 个`
+    );
+    if (result.renamed.length > 0) {
+      logger.warn('以下文件与现有文件冲突，模板版本已另存，请手动合并:');
+      result.renamed.forEach((file) => logger.log(`   ${chalk.yellow(file)}`));
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取冲突文件的统一处理方式
+   * @returns {string|null} overwrite、skip、new；返回 null 表示逐个询问
+   */
+  getConflictStrategy() {
+    if (this.options.conflict) {
+      return this.options.conflict;
+    }
+
+    const interactive = this.options.interactive !== false && Boolean(process.stdin.isTTY);
+    return interactive ? null : 'new';
+  }
+
+  /**
+   * 询问冲突文件的处理方式
+   * @param {string} file 相对路径
+   * @param {string} src 模板生成的文件
+   * @param {string} dest 现有文件
+   * @returns {Promise<string>} overwrite、skip、new，或带 All 后缀表示应用到其余冲突文件
+   */
+  async promptConflict(file, src, dest) {
+    for (;;) {
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: `文件 ${chalk.cyan(file)} 已存在，如何处理?`,
+          choices: [
+            { name: '覆盖', value: 'overwrite' },
+            { name: '跳过（保留现有文件）', value: 'skip' },
+            { name: `另存为 ${file}.terrafe-new`, value: 'new' },
+            { name: '查看差异', value: 'diff' },
+            new inquirer.Separator(),
+            { name: '全部覆盖', value: 'overwriteAll' },
+            { name: '全部跳过', value: 'skipAll' },
+            { name: '全部另存为 .terrafe-new', value: 'newAll' },
+          ],
+        },
+      ]);
+
+      if (action !== 'diff') {
+        return action;
+      }
+
+      if ((await fileUtils.isBinaryFile(src)) || (await fileUtils.isBinaryFile(dest))) {
+        logger.log(chalk.gray('   二进制文件内容不同'));
+        continue;
+      }
+
+      const diffLines = diffUtils.format(await fileUtils.readFile(dest), await fileUtils.readFile(src), {
+        oldLabel: `${file} (现有)`,
+        newLabel: `${file} (模板)`,
+      });
+      diffLines.forEach((line) => logger.log(`   ${line}`));
+    }
+  }
+
+  /**
+   * 获取模板并收集模板数据
+   * @param {string} projectName 项目名称
+   * @param {Object} options 选项
+   * @returns {Promise<Object>} 模板路径、模板询问结果和模板数据
+   */
+  async resolveTemplate(projectName, options) {
+    let templatePath;
+    if (options.template) {
+      templatePath = await this.getTemplatePath(options.template);
+    } else if (options.templatePath) {
+      templatePath = options.templatePath;
+    } else {
+      throw errorHandler.createError('未指定模板', 'NO_TEMPLATE_SPECIFIED');
+    }
+
+    const answers = await this.loadTemplate(templatePath, { projectName, ...options.templateData }, options.answers);
+
+    // 模板询问结果可覆盖 CLI 收集的同名字段
+    const templateData = await this.template.resolveTemplateData({
+      projectName,
+      ...options.templateData,
+      ...answers,
+      // 添加更多有用的变量
+      currentYear: new Date().getFullYear(),
+      currentDate: new Date().toISOString().split('T')[0],
+      nodeVersion: process.version,
+    });
+
+    return { templatePath, answers, templateData };
+  }
+
+  /**
+   * 为现有项目添加功能
+   * 功能模板在临时目录中渲染后合并到项目，再合并 package.json 补丁并安装新增的依赖
+   * @param {Object} featureInfo 功能模板信息（与 create 的模板信息格式相同）
+   * @param {Object} options 选项
+   * @returns {Promise<boolean>} 添加结果
+   */
+  async addFeature(featureInfo, options = {}) {
+    await this.init();
+
+    const projectDir = fileUtils.resolve(process.cwd(), options.cwd || '.');
+    this.setOptions({ ...options, merge: true, projectDir });
+    this.nextSteps = [];
+
+    const packageJsonPath = fileUtils.join(projectDir, 'package.json');
+
+    if (!fileUtils.exists(packageJsonPath)) {
+      throw errorHandler.createError(`未找到 package.json: ${projectDir}`, 'PROJECT_NOT_FOUND', { projectDir });
+    }
+
+    if (!options.force && gitUtils.isGitRepository(projectDir) && gitUtils.hasUncommittedChanges(projectDir)) {
+      throw errorHandler.createError('项目有未提交的修改', 'UNCOMMITTED_CHANGES', { projectDir });
+    }
+
+    const packageManager = await this.detectAndSetPackageManager(projectDir, options.packageManager);
+    const feature = await this.applyFeature(featureInfo, projectDir);
+    const { packages } = feature;
+
+    await this.installFeaturePackages(projectDir, packages);
+    await this.runTemplateHook('complete', projectDir, feature.templateData, feature.answers, feature.template);
+
+    const featureName = feature.template.manifest.name || featureInfo.name;
+    logger.newLine();
+    logger.success(`✨ 功能 "${chalk.cyan(featureName)}" 添加完成`);
+    if (this.options.skipInstall && (packages.dependencies.length > 0 || packages.devDependencies.length > 0)) {
+      this.nextSteps.unshift(`${packageManager} install`);
+    }
+    if (this.nextSteps.length > 0) {
+      logger.info('📝 接下来你可以运行:');
+      this.nextSteps.forEach((step) => logger.info(`   ${chalk.gray('$')} ${chalk.cyan(step)}`));
+    }
+    logger.newLine();
+
+    return true;
+  }
+
+  /**
+   * 将功能模板应用到项目：在临时目录中渲染后合并到项目，并修改 package.json
+   * 不会替换生成器当前的模板，可以在生成项目的过程中使用
+   * @param {Object} featureInfo 功能模板信息
+   * @param {string} projectDir 项目目录
+   * @param {Object} options 选项
+   * @param {boolean} options.writeDependencies 依赖是否直接写入 package.json，默认在跳过安装时写入
+   * @param {string} options.conflict 冲突文件处理方式，默认按生成选项确定
+   * @returns {Promise<Object>} { template, templateData, answers, packages }
+   */
+  async applyFeature(featureInfo, projectDir, { writeDependencies = this.options.skipInstall, conflict } = {}) {
+    const packageJson = await fs.readJson(fileUtils.join(projectDir, 'package.json'));
+    const projectName = packageJson.name || path.basename(projectDir);
+    const { template: currentTemplate, renderer: currentRenderer } = this;
+
+    try {
+      const { templatePath, answers, templateData } = await this.resolveTemplate(projectName, {
+        template: featureInfo,
+        templateData: {
+          packageManager: this.options.packageManager,
+          typescript:
+            fileUtils.exists(fileUtils.join(projectDir, 'tsconfig.json')) ||
+            Boolean(packageJson.dependencies?.typescript || packageJson.devDependencies?.typescript),
+          packageJson,
+        },
+      });
+
+      const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'terrafe-add-'));
+      try {
+        await this.copyTemplate(templatePath, stagingDir, templateData);
+        await this.runTemplateHook('beforeRender', stagingDir, templateData, answers);
+        await this.processTemplateVariables(stagingDir, templateData);
+        await this.runTemplateHook('afterRender', stagingDir, templateData, answers);
+        await this.mergeStagingDir(stagingDir, projectDir, conflict || this.getConflictStrategy());
+      } finally {
+        await fileUtils.remove(stagingDir);
+      }
+
+      const patch = await this.template.getPackagePatch(templateData);
+      const packages = await this.applyPackagePatch(projectDir, patch, { writeDependencies });
+      await this.runTemplateHook('afterPackageJson', projectDir, templateData, answers);
+
+      return { template: this.template, templateData, answers, packages };
+    } finally {
+      this.template = currentTemplate;
+      this.renderer = currentRenderer;
+    }
+  }
+
+  /**
+   * 将补丁合并到项目的 package.json
+   * 已存在的依赖和脚本保持不变；新增依赖直接写入 package.json，或者交给包管理器安装
+   * @param {string} projectDir 项目目录
+   * @param {Object} patch package.json 补丁
+   * @param {Object} options 选项
+   * @param {boolean} options.writeDependencies 依赖是否直接写入 package.json，默认在跳过安装时写入
+   * @returns {Promise<Object>} 新增的依赖 { dependencies: ['name@range'], devDependencies: [...] }
+   */
+  async applyPackagePatch(projectDir, patch, { writeDependencies = this.options.skipInstall } = {}) {
+    const packageJsonPath = fileUtils.join(projectDir, 'package.json');
+    const packageJson = await fs.readJson(packageJsonPath);
+    const packages = { dependencies: [], devDependencies: [] };
+    const sortKeys = (object) => Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+
+    for (const [field, value] of Object.entries(patch)) {
+      if (field === 'dependencies' || field === 'devDependencies') {
+        for (const [name, range] of Object.entries(value)) {
+          if (packageJson.dependencies?.[name] || packageJson.devDependencies?.[name]) {
+            logger.debug(`依赖 ${name} 已存在，保留现有版本`);
+            continue;
+          }
+
+          packages[field].push(`${name}@${range}`);
+          if (writeDependencies) {
+            packageJson[field] = sortKeys({ ...packageJson[field], [name]: range });
+          }
+        }
+      } else if (field === 'scripts') {
+        packageJson.scripts = packageJson.scripts || {};
+        for (const [name, command] of Object.entries(value)) {
+          if (packageJson.scripts[name] === undefined) {
+            packageJson.scripts[name] = command;
+          } else if (packageJson.scripts[name] !== command) {
+            logger.warn(`脚本 "${name}" 已存在，保留现有定义（建议: ${command}）`);
+          }
+        }
+      } else if (packageJson[field] === undefined) {
+        packageJson[field] = value;
+      } else if (isPlainObject(packageJson[field]) && isPlainObject(value)) {
+        packageJson[field] = { ...value, ...packageJson[field] };
+      } else {
+        logger.warn(`package.json 字段 "${field}" 已存在，保留现有值`);
+      }
+    }
+
+    await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+    logger.success('package.json 更新完成');
+
+    return packages;
+  }
+
+  /**
+   * 安装功能新增的依赖
+   * @param {string} projectDir 项目目录
+   * @param {Object} packages applyPackagePatch 返回的依赖列表
+   */
+  async installFeaturePackages(projectDir, packages) {
+    if (this.options.skipInstall) {
+      logger.debug('跳过依赖安装');
+      return;
+    }
+
+    for (const field of ['dependencies', 'devDependencies']) {
+      if (packages[field].length === 0) {
+        continue;
+      }
+
+      const success = await npmUtils.installPackage(packages[field], projectDir, {
+        manager: this.options.packageManager,
+        dev: field === 'devDependencies',
+        silent: !this.options.verbose,
+      });
+      if (!success) {
+        throw errorHandler.createError('依赖安装失败', 'DEPENDENCY_INSTALL_FAILED', {
+          projectDir,
+          packages: packages[field],
+        });
+      }
     }
   }
 
+  /**
+   * 升级现有项目到模板的最新版本
+   * 分别渲染项目创建时的模板版本（基础版本）和最新版本，再三方合并到项目文件中
+   * @param {Object} options 选项
+   * @returns {Promise<Object|null>} 各类文件列表，已是最新版本时返回 null
+   */
+  async upgrade(options = {}) {
+    await this.init();
+
+    const projectDir = fileUtils.resolve(process.cwd(), options.cwd || '.');
+    const record = await readProjectRecord(projectDir);
+
+    if (!record || !record.template) {
+      throw errorHandler.createError(`未找到 ${PROJECT_RECORD_FILE}: ${projectDir}`, 'PROJECT_RECORD_NOT_FOUND', {
+        projectDir,
+      });
+    }
+
+    if (!options.force && gitUtils.isGitRepository(projectDir) && gitUtils.hasUncommittedChanges(projectDir)) {
+      throw errorHandler.createError('项目有未提交的修改', 'UNCOMMITTED_CHANGES', { projectDir });
+    }
+
+    this.setOptions({ ...options, projectDir, packageManager: record.packageManager || 'npm' });
+    this.nextSteps = [];
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'terrafe-upgrade-'));
+
+    try {
+      const sources = await this.getUpgradeSources(record.template, workDir);
+      if (!sources) {
+        logger.success('项目已使用最新版本的模板');
+        return null;
+      }
+
+      const projectName = record.data?.projectName || path.basename(projectDir);
+      let baseDir = null;
+
+      // 基础版本沿用记录的答案，不询问；最新版本中新增的询问按 --yes 决定是否交互
+      if (sources.basePath) {
+        baseDir = fileUtils.join(workDir, 'base');
+        this.setOptions({ interactive: false });
+        await this.renderRevision(sources.basePath, baseDir, projectName, record);
+      } else {
+        logger.warn('无法获取项目创建时的模板版本，模板与项目不同的文件都将标记为冲突');
+      }
+
+      const latestDir = fileUtils.join(workDir, 'latest');
+      this.setOptions({ interactive: options.interactive });
+      const answers = await this.renderRevision(sources.latestPath, latestDir, projectName, record);
+      const revision = await this.getTemplateRevision(sources.latestInfo, sources.latestPath);
+
+      const label = revision.version || revision.commit?.slice(0, 7) || '最新版本';
+      const result = await this.applyUpgrade(baseDir, latestDir, projectDir, `模板 ${label}`);
+
+      await writeProjectRecord(projectDir, {
+        ...record,
+        terrafeVersion: await getTerrafeVersion(),
+        updatedAt: new Date().toISOString(),
+        template: { ...record.template, ...revision },
+        answers: omitSecrets(answers, this.template.getSecretNames()),
+      });
+
+      this.showUpgradeSummary(result);
+
+      return result;
+    } finally {
+      await fileUtils.remove(workDir);
+    }
+  }
+
+  /**
+   * 获取升级所需的两个模板版本
+   * GitHub 模板按记录的提交下载基础版本；本地模板位于Git仓库中时从记录的提交导出基础版本
+   * @param {Object} templateRecord 项目记录中的模板信息
+   * @param {string} workDir 临时工作目录
+   * @returns {Promise<Object|null>} { latestInfo, latestPath, basePath }，已是最新版本时返回 null
+   */
+  async getUpgradeSources(templateRecord, workDir) {
+    const { type, commit } = templateRecord;
+
+    if (type === 'github') {
+      // 离线时无法查询最新提交，使用缓存的模板作为最新版本
+      const latestCommit = this.isOffline() ? null : await this.cacheManager.resolveCommit(templateRecord.repo);
+      if (commit && latestCommit === commit) {
+        return null;
+      }
+
+      const latestRepo = latestCommit && this.cacheManager.pinRepoUrl(templateRecord.repo, latestCommit);
+      const latestInfo = latestRepo ? { type, repo: latestRepo } : { type, repo: templateRecord.repo, refresh: true };
+
+      return {
+        latestInfo,
+        latestPath: await this.getTemplatePath(latestInfo),
+        basePath: commit ? await this.getTemplatePath({ type, repo: templateRecord.repo, commit }) : null,
+      };
+    }
+
+    const latestPath = await this.getTemplatePath({ type: 'local', path: templateRecord.path });
+    const repoRoot = gitUtils.getRepositoryRoot(latestPath);
+    const latestCommit = repoRoot ? gitUtils.getHeadCommit(latestPath) : null;
+
+    if (commit && latestCommit === commit && !gitUtils.hasUncommittedChanges(latestPath)) {
+      return null;
+    }
+
+    const basePath = commit
+      ? await this.exportLocalRevision(latestPath, commit, fileUtils.join(workDir, 'base-source'))
+      : null;
+
+    return { latestInfo: { type: 'local', path: latestPath }, latestPath, basePath };
+  }
+
+  /**
+   * 按项目记录渲染一个模板版本
+   * @param {string} templatePath 模板路径
+   * @param {string} targetDir 渲染目录
+   * @param {string} projectName 项目名称
+   * @param {Object} record 项目记录，沿用其中的项目信息和询问答案
+   * @returns {Promise<Object>} 模板询问结果
+   */
+  async renderRevision(templatePath, targetDir, projectName, record) {
+    const { answers, templateData } = await this.resolveTemplate(projectName, {
+      templatePath,
+      templateData: { projectName, ...record.data },
+      answers: record.answers || {},
+    });
+    await fileUtils.ensureDir(targetDir);
+    await this.renderTemplate(templatePath, targetDir, templateData, answers);
+
+    return answers;
+  }
+
+  /**
+   * 将模板的变化三方合并到项目
+   *   模板新增的文件直接添加；模板删除的文件在项目中未修改时删除
+   *   只有模板修改的文件直接更新；双方都修改的文本文件逐行合并，冲突处写入冲突标记
+   *   双方都修改的二进制文件保留项目中的版本，新版本另存为 <文件>.terrafe-new
+   * @param {string|null} baseDir 基础版本渲染目录，无法获取时为 null
+   * @param {string} latestDir 最新版本渲染目录
+   * @param {string} projectDir 项目目录
+   * @param {string} label 冲突标记中新版本的标签
+   * @returns {Promise<Object>} 各类文件列表
+   */
+  async applyUpgrade(baseDir, latestDir, projectDir, label) {
+    const result = { added: [], changed: [], removed: [], conflicted: [], unchanged: [] };
+    const baseFiles = baseDir ? await fileUtils.listFiles(baseDir) : [];
+    const latestFiles = await fileUtils.listFiles(latestDir);
+    const files = [...new Set([...baseFiles, ...latestFiles])].sort();
+
+    for (const file of files) {
+      const base = baseFiles.includes(file) ? fileUtils.join(baseDir, file) : null;
+      const latest = latestFiles.includes(file) ? fileUtils.join(latestDir, file) : null;
+      const current = fileUtils.join(projectDir, file);
+      const exists = fileUtils.exists(current);
+
+      if (!latest) {
+        // 模板删除了文件
+        if (!exists) {
+          continue;
+        }
+        if (await fileUtils.isSameContent(base, current)) {
+          await fileUtils.remove(current);
+          result.removed.push(file);
+        } else {
+          logger.warn(`模板已删除 ${file}，但项目中的文件已被修改，已保留`);
+          result.conflicted.push(file);
+        }
+        continue;
+      }
+
+      if (!exists) {
+        // 用户删除的文件不再恢复
+        if (base) {
+          logger.debug(`项目中已删除 ${file}，跳过`);
+          continue;
+        }
+        await fileUtils.copy(latest, current);
+        result.added.push(file);
+        continue;
+      }
+
+      if (
+        (await fileUtils.isSameContent(latest, current)) ||
+        (base && (await fileUtils.isSameContent(base, latest)))
+      ) {
+        result.unchanged.push(file);
+        continue;
+      }
+
+      if (base && (await fileUtils.isSameContent(base, current))) {
+        await fileUtils.copy(latest, current, { overwrite: true });
+        result.changed.push(file);
+        continue;
+      }
+
+      if ((await fileUtils.isBinaryFile(latest)) || (await fileUtils.isBinaryFile(current))) {
+        await fileUtils.copy(latest, `${current}.terrafe-new`, { overwrite: true });
+        result.conflicted.push(file);
+        continue;
+      }
+
+      const { content, conflicts } = diffUtils.merge3(
+        base ? await fileUtils.readFile(base) : '',
+        await fileUtils.readFile(current),
+        await fileUtils.readFile(latest),
+        { oursLabel: '当前项目', theirsLabel: label }
+      );
+      await fileUtils.writeFile(current, content);
+      result[conflicts > 0 ? 'conflicted' : 'changed'].push(file);
+    }
+
+    if (result.changed.includes('package.json') || result.conflicted.includes('package.json')) {
+      this.nextSteps.push(`${this.options.packageManager} install`);
+    }
+
+    return result;
+  }
+
+  /**
+   * 显示升级结果
+   * @param {Object} result applyUpgrade 返回的文件列表
+   */
+  showUpgradeSummary(result) {
+    const { added, changed, removed, conflicted } = result;
+
+    logger.newLine();
+    logger.success(
+      `升级完成: 新增 ${added.length} 个，修改 ${changed.length} 个，删除 ${removed.length} 个，冲突 ${conflicted.length} 个`
+    );
+    added.forEach((file) => logger.info(`   ${chalk.green('+')} ${file}`));
+    changed.forEach((file) => logger.info(`   ${chalk.yellow('~')} ${file}`));
+    removed.forEach((file) => logger.info(`   ${chalk.red('-')} ${file}`));
+    conflicted.forEach((file) => logger.info(`   ${chalk.red('!')} ${file}`));
+
+    if (conflicted.length > 0) {
+      logger.newLine();
+      logger.warn('冲突文件需要手动处理: 解决 <<<<<<< / ======= / >>>>>>> 标记，或对比 .terrafe-new 文件');
+    }
+
+    if (this.nextSteps.length > 0) {
+      logger.newLine();
+      logger.info('📝 接下来你可以运行:');
+      this.nextSteps.forEach((step) => logger.info(`   ${chalk.gray('$')} ${chalk.cyan(step)}`));
+    }
+    logger.newLine();
+  }
+
+  /**
+   * 预览项目生成结果（dry-run）
+   * 在临时目录中完成复制、变量处理、package.json 更新和项目记录，不写入目标目录，也不执行 Git 初始化和依赖安装；
+   * 模板钩子不执行，只在预览结果中列出。JS 清单仍会被加载，清单中的询问、助手和 templateData 函数仍会执行
+   * @param {string} projectName 项目名称
+   * @param {Object} options 选项
+   * @returns {Promise<boolean>} 预览结果
+   */
+  async dryRun(projectName, options = {}) {
+    await this.init();
+
+    this.setOptions({ ...options, dryRun: true });
+    this.nextSteps = [];
+    this.skippedHooks = [];
+
+    const targetDir = fileUtils.resolve(process.cwd(), projectName);
+    await this.validateProject(projectName, targetDir);
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'terrafe-dry-run-'));
+
+    try {
+      const { templatePath, answers, templateData } = await this.resolveTemplate(projectName, options);
+      await this.copyTemplate(templatePath, workDir, templateData);
+
+      const packageJsonPath = fileUtils.join(workDir, 'package.json');
+      const originalPackageJson = fileUtils.exists(packageJsonPath) ? await fileUtils.readFile(packageJsonPath) : null;
+
+      await this.detectAndSetPackageManager(this.template.sourcePath, options.packageManager);
+      await this.runTemplateHook('beforeRender', workDir, templateData, answers);
+      await this.processTemplateVariables(workDir, templateData);
+      await this.runTemplateHook('afterRender', workDir, templateData, answers);
+      await this.updatePackageJson(workDir, templateData);
+      await this.runTemplateHook('afterPackageJson', workDir, templateData, answers);
+      const features = await this.applyFeatures(workDir);
+      await writeProjectRecord(workDir, await this.createProjectRecord(templatePath, options, answers));
+
+      // Git 初始化和依赖安装之后的钩子同样只记录
+      for (const template of [this.template, ...features.map((feature) => feature.template)]) {
+        const hooks = ['afterGit', 'complete'].filter((name) => typeof template.manifest[name] === 'function');
+        this.skippedHooks.push(...hooks);
+      }
+
+      await this.showDryRunReport(projectName, targetDir, workDir, originalPackageJson);
+
+      return true;
+    } finally {
+      await fileUtils.remove(workDir);
+      await this.cleanupTempDirs();
+    }
+  }
+
+  /**
+   * 显示预览结果
+   * @param {string} projectName 项目名称
+   * @param {string} targetDir 目标目录
+   * @param {string} workDir 预览生成目录
+   * @param {string|null} originalPackageJson 模板中原始的 package.json 内容
+   */
+  async showDryRunReport(projectName, targetDir, workDir, originalPackageJson) {
+    const files = await fileUtils.listFiles(workDir);
+    const sizes = {};
+    let totalSize = 0;
+
+    for (const file of files) {
+      const stats = await fileUtils.stat(fileUtils.join(workDir, file));
+      sizes[file] = stats.size;
+      totalSize += stats.size;
+    }
+
+    logger.newLine();
+    logger.title(`🔍 预览模式: 不会写入 ${targetDir}`);
+    logger.newLine();
+
+    logger.info('📁 将生成的文件:');
+    logger.log(`   ${chalk.cyan(`${projectName}/`)}`);
+    this.printFileTree(files, sizes, '   ');
+    logger.info(`共 ${chalk.green(files.length)} 个文件，总计 ${chalk.green(fileUtils.formatSize(totalSize))}`);
+    logger.newLine();
+
+    if (this.options.merge && fileUtils.exists(targetDir)) {
+      const conflicts = [];
+      // 项目记录在合并之后写入，总是覆盖已有的记录
+      for (const file of files.filter((name) => name !== PROJECT_RECORD_FILE)) {
+        const dest = fileUtils.join(targetDir, file);
+        if (fileUtils.exists(dest) && !(await fileUtils.isSameContent(fileUtils.join(workDir, file), dest))) {
+          conflicts.push(file);
+        }
+      }
+
+      if (conflicts.length > 0) {
+        logger.info(`⚠️  与现有文件冲突 (${conflicts.length}):`);
+        conflicts.forEach((file) => logger.log(`   ${chalk.yellow(file)}`));
+        logger.info(`处理方式: ${this.getConflictStrategy() || '逐个询问'}`);
+        logger.newLine();
+      }
+    }
+
+    const packageJsonPath = fileUtils.join(workDir, 'package.json');
+    if (fileUtils.exists(packageJsonPath)) {
+      const finalPackageJson = await fileUtils.readFile(packageJsonPath);
+      const diffLines = diffUtils.format(originalPackageJson || '', finalPackageJson, {
+        oldLabel: 'template/package.json',
+        newLabel: `${projectName}/package.json`,
+      });
+
+      logger.info('📦 package.json 变更:');
+      if (diffLines.length > 0) {
+        diffLines.forEach((line) => logger.log(`   ${line}`));
+      } else {
+        logger.log(chalk.gray('   (无变更)'));
+      }
+      logger.newLine();
+    }
+
+    const manager = this.options.packageManager;
+    const commands = [];
+    // 与 initializeGit 一致：合并到已有的 Git 仓库时不初始化，也不自动提交
+    const existingRepo = this.options.merge && fileUtils.exists(fileUtils.join(targetDir, '.git'));
+    if (!this.options.skipGit && !existingRepo) {
+      commands.push('git init', 'git add .', 'git commit -m "feat: initial commit"');
+    }
+    if (!this.options.skipInstall && fileUtils.exists(packageJsonPath)) {
+      commands.push(`${manager} install`);
+    }
+
+    logger.info('▶ 将执行的命令:');
+    if (commands.length > 0) {
+      commands.forEach((command) => logger.log(`   ${chalk.gray('$')} ${chalk.cyan(command)}`));
+    } else {
+      logger.log(chalk.gray('   (无)'));
+    }
+    if (!this.options.skipGit && existingRepo) {
+      logger.info('目标目录已是Git仓库，不会初始化或自动提交');
+    }
+
+    if (this.skippedHooks.length > 0) {
+      logger.newLine();
+      logger.warn(`预览模式不会执行模板钩子，实际创建时将执行: ${[...new Set(this.skippedHooks)].join(', ')}`);
+      logger.info(chalk.gray('钩子生成或修改的文件不包含在以上预览中'));
+    }
+
+    logger.newLine();
+  }
+
+  /**
+   * 以树形结构打印文件列表
+   * @param {Array<string>} files 相对路径列表（已排序）
+   * @param {Object} sizes 文件大小映射
+   * @param {string} indent 缩进
+   */
+  printFileTree(files, sizes, indent = '') {
+    // 构建目录树
+    const tree = {};
+    for (const file of files) {
+      let node = tree;
+      for (const part of file.split('/')) {
+        node[part] = node[part] || {};
+        node = node[part];
+      }
+      node.__file = file;
+    }
+
+    const printNode = (node, prefix) => {
+      const names = Object.keys(node)
+        .filter((name) => name !== '__file')
+        .sort((a, b) => {
+          // 目录排在文件前面
+          const aIsDir = !node[a].__file;
+          const bIsDir = !node[b].__file;
+          return aIsDir === bIsDir ? a.localeCompare(b) : aIsDir ? -1 : 1;
+        });
+
+      names.forEach((name, index) => {
+        const child = node[name];
+        const isLast = index === names.length - 1;
+        const branch = isLast ? '└── ' : '├── ';
+
+        if (child.__file) {
+          const size = chalk.gray(`(${fileUtils.formatSize(sizes[child.__file])})`);
+          logger.log(`${indent}${prefix}${branch}${name} ${size}`);
+        } else {
+          logger.log(`${indent}${prefix}${branch}${chalk.cyan(`${name}/`)}`);
+          printNode(child, `${prefix}${isLast ? '    ' : '│   '}`);
+        }
+      });
+    };
+
+    printNode(tree, '');
+  }
+
   /**
    * 显示完成消息
    * @param {string} projectName 项目名称
@@ -537,9 +1697,13 @@ class Generator {
       logger.info(`   ${chalk.gray('$')} ${chalk.cyan(`${manager} install`)}`);
     }
 
-    // 如果有启动脚本，显示启动命令
+    // 模板通过钩子提供了后续步骤时，替代默认的启动命令提示；否则如果有启动脚本，显示启动命令
     const packageJsonPath = fileUtils.join(targetDir, 'package.json');
-    if (fileUtils.exists(packageJsonPath)) {
+    if (this.nextSteps.length > 0) {
+      this.nextSteps.forEach((step) => {
+        logger.info(`   ${chalk.gray('$')} ${chalk.cyan(step)}`);
+      });
+    } else if (fileUtils.exists(packageJsonPath)) {
       try {
         const packageJson = fs.readJsonSync(packageJsonPath);
         if (packageJson.scripts) {
@@ -561,5 +1725,14 @@ class Generator {
   }
 }
 
+/**
+ * 判断是否为普通对象
+ * @param {*} value 值
+ * @returns {boolean} 是否为普通对象
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
 // 导出单例实例
 export default new Generator();
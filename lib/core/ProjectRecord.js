@@ -0,0 +1,59 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import fileUtils from '../utils/file.js';
+
+/**
+ * 项目记录文件名，位于项目根目录
+ * 记录生成项目所用的模板、模板版本和询问答案，供 upgrade 等命令使用
+ */
+export const PROJECT_RECORD_FILE = '.terrafe.json';
+
+/**
+ * 名称看起来是凭据的数据不写入项目记录
+ */
+const SECRET_NAME_PATTERN = /(password|passwd|secret|token|credential|api[-_]?key|private[-_]?key|access[-_]?key)/i;
+
+/**
+ * 读取项目记录
+ * @param {string} projectDir 项目目录
+ * @returns {Promise<Object|null>} 项目记录，不存在时返回 null
+ */
+export async function readProjectRecord(projectDir) {
+  const recordPath = fileUtils.join(projectDir, PROJECT_RECORD_FILE);
+  return fileUtils.exists(recordPath) ? await fs.readJson(recordPath) : null;
+}
+
+/**
+ * 写入项目记录
+ * @param {string} projectDir 项目目录
+ * @param {Object} record 项目记录
+ */
+export async function writeProjectRecord(projectDir, record) {
+  await fs.writeJson(fileUtils.join(projectDir, PROJECT_RECORD_FILE), record, { spaces: 2 });
+}
+
+/**
+ * 去掉需要保密的数据
+ * @param {Object} data 询问答案或模板数据
+ * @param {Array<string>} secretNames 模板声明的保密询问名称
+ * @returns {Object} 可以写入项目记录的数据
+ */
+export function omitSecrets(data = {}, secretNames = []) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([key]) => !secretNames.includes(key) && !SECRET_NAME_PATTERN.test(key))
+  );
+}
+
+/**
+ * 获取当前 TerraFE 版本
+ * @returns {Promise<string|null>} 版本号
+ */
+export async function getTerrafeVersion() {
+  try {
+    const packageJsonPath = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../package.json');
+    return (await fs.readJson(packageJsonPath)).version;
+  } catch {
+    return null;
+  }
+}
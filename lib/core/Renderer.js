@@ -0,0 +1,157 @@
+import path from 'path';
+import Handlebars from 'handlebars';
+import logger from '../utils/logger.js';
+import fileUtils from '../utils/file.js';
+import helpers from './helpers.js';
+import { createEscaper } from './escape.js';
+
+/**
+ * 内部转义助手名称
+ */
+const ESCAPE_HELPER = '__escape';
+
+/**
+ * 模板渲染器
+ * 每次生成使用独立的 Handlebars 环境，模板注册的助手和局部模板不会影响其他模板
+ *
+ * Handlebars 默认对 {{ }} 输出做 HTML 转义，不适用于 JSON、JS、YAML 等文件。
+ * 编译时将需要转义的 {{ }} 改写为内部助手调用，由当前文件的转义策略决定如何转义（见 escape.js）
+ */
+class Renderer {
+  /**
+   * @param {Object} options 渲染选项
+   * @param {Array<string>|null} options.delimiters 自定义定界符，例如 ['<%=', '%>']，默认使用 {{ }}
+   */
+  constructor({ delimiters = null } = {}) {
+    this.handlebars = Handlebars.create();
+    this.handlebars.registerHelper(helpers);
+    this.handlebars.registerHelper(ESCAPE_HELPER, (value) => this.escaper.escape(value));
+    this.delimiters = delimiters;
+    this.escaper = createEscaper('html');
+  }
+
+  /**
+   * 注册模板清单中声明的助手
+   * @param {Object<string, Function>} customHelpers 助手名称到函数的映射
+   */
+  registerHelpers(customHelpers = {}) {
+    for (const [name, helper] of Object.entries(customHelpers)) {
+      if (helpers[name]) {
+        logger.debug(`模板助手覆盖内置助手: ${name}`);
+      }
+      this.handlebars.registerHelper(name, helper);
+    }
+  }
+
+  /**
+   * 从目录加载局部模板
+   * 局部模板名称为去掉扩展名的相对路径，例如 partials/layout/header.hbs 注册为 layout/header
+   * @param {string} partialsDir 局部模板目录
+   * @returns {Promise<Array<string>>} 已注册的局部模板名称
+   */
+  async loadPartials(partialsDir) {
+    if (!fileUtils.exists(partialsDir)) {
+      return [];
+    }
+
+    const names = [];
+    for (const file of await fileUtils.listFiles(partialsDir)) {
+      const name = file.replace(/(\/|^)([^/.]+)[^/]*$/, '$1$2');
+      const content = await fileUtils.readFile(path.join(partialsDir, file));
+      this.handlebars.registerPartial(name, this.compile(content));
+      names.push(name);
+    }
+
+    logger.debug(`已加载局部模板: ${names.join(', ')}`);
+    return names;
+  }
+
+  /**
+   * 渲染模板内容
+   * @param {string} content 模板内容
+   * @param {Object} data 模板数据
+   * @param {Object} options 渲染选项
+   * @param {string} options.escape 转义策略：html、json、js、yaml、none
+   * @returns {string} 渲染结果
+   */
+  render(content, data, { escape = 'html' } = {}) {
+    const template = this.compile(content);
+    const escaper = createEscaper(escape);
+
+    // 渲染是同步的，局部模板中的转义同样使用当前文件的策略
+    this.escaper = escaper;
+    try {
+      return escaper.finalize(template(data));
+    } finally {
+      this.escaper = createEscaper('html');
+    }
+  }
+
+  /**
+   * 编译模板，将需要转义的 {{ }} 改写为转义助手调用
+   *   {{name}}            → {{{__escape name}}}
+   *   {{pascalCase name}} → {{{__escape (pascalCase name)}}}
+   * @param {string} content 模板内容
+   * @returns {Function} 模板函数
+   */
+  compile(content) {
+    const ast = this.handlebars.parse(this.convertDelimiters(content));
+    const visitor = new Handlebars.Visitor();
+    const { helpers: registeredHelpers } = this.handlebars;
+
+    visitor.mutating = true;
+    visitor.MustacheStatement = (mustache) => {
+      if (!mustache.escaped) {
+        return mustache;
+      }
+
+      const { path: callee, params, hash, loc } = mustache;
+      const isHelperCall =
+        params.length > 0 ||
+        hash !== undefined ||
+        (callee.type === 'PathExpression' &&
+          Handlebars.AST.helpers.simpleId(callee) &&
+          Object.prototype.hasOwnProperty.call(registeredHelpers, callee.original));
+      const value = isHelperCall ? { type: 'SubExpression', path: callee, params, hash, loc } : callee;
+
+      return {
+        ...mustache,
+        path: { type: 'PathExpression', data: false, depth: 0, parts: [ESCAPE_HELPER], original: ESCAPE_HELPER, loc },
+        params: [value],
+        hash: undefined,
+        escaped: false,
+      };
+    };
+    visitor.accept(ast);
+
+    return this.handlebars.compile(ast);
+  }
+
+  /**
+   * 将自定义定界符转换为 Handlebars 语法
+   * 内容中原有的 {{ 会被转义，按字面输出
+   * @param {string} content 模板内容
+   * @returns {string} 转换后的内容
+   */
+  convertDelimiters(content) {
+    if (!this.delimiters) {
+      return content;
+    }
+
+    const [open, close] = this.delimiters;
+    const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`${escapeRegExp(open)}|${escapeRegExp(close)}|\\{\\{`, 'g');
+
+    return content.replace(pattern, (match) => {
+      if (match === open) {
+        return '{{';
+      }
+      if (match === close) {
+        return '}}';
+      }
+      return '\\{{';
+    });
+  }
+}
+
+export default Renderer;
@@ -0,0 +1,730 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import inquirer from 'inquirer';
+import { minimatch } from 'minimatch';
+import ignore from 'ignore';
+import logger from '../utils/logger.js';
+import fileUtils from '../utils/file.js';
+import errorHandler from './ErrorHandler.js';
+
+/**
+ * 模板清单文件名（按优先级排列）
+ */
+export const MANIFEST_FILES = ['terrafe.config.js', 'terrafe.config.mjs', 'terrafe.config.cjs', 'terrafe.json'];
+
+/**
+ * 模板清单中支持的询问类型
+ */
+const PROMPT_TYPES = ['input', 'number', 'password', 'list', 'rawlist', 'checkbox', 'confirm'];
+
+/**
+ * 模板生命周期钩子（按执行顺序）
+ *   beforeRender     模板复制完成后、变量处理前
+ *   afterRender      变量处理完成后
+ *   afterPackageJson package.json 更新后
+ *   afterGit         Git 初始化后
+ *   complete         依赖安装后、显示完成信息前
+ */
+export const HOOK_NAMES = ['beforeRender', 'afterRender', 'afterPackageJson', 'afterGit', 'complete'];
+
+/**
+ * 模板忽略文件名（gitignore 语法），位于模板根目录
+ */
+export const IGNORE_FILE = '.terrafeignore';
+
+/**
+ * 默认不复制的文件：版本库、依赖、构建产物和模板作者的锁文件
+ * 可以在 .terrafeignore 中使用 ! 重新包含，例如 !dist/
+ */
+export const DEFAULT_IGNORES = [
+  '.git/',
+  'node_modules/',
+  'dist/',
+  '.DS_Store',
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+];
+
+/**
+ * 始终复制但不处理变量的文件：压缩产物、source map 和测试快照
+ */
+export const RENDER_EXCLUDES = ['**/*.min.js', '**/*.min.css', '**/*.map', '**/__snapshots__/**'];
+
+/**
+ * 清单中 verbatim 为 true 时原样复制的文件
+ * 这些框架的模板语法同样使用 {{ }}，需要由模板声明是否原样复制；未声明时与其他文件一样处理变量
+ */
+export const DEFAULT_VERBATIM = ['**/*.vue', '**/*.svelte', '**/*.astro'];
+
+/**
+ * 由 CLI 提供、模板询问不能覆盖的变量
+ */
+const RESERVED_NAMES = ['projectName'];
+
+/**
+ * 模板类
+ * 负责读取模板清单 (terrafe.config.js / terrafe.json) 并执行模板自定义询问
+ */
+class Template {
+  /**
+   * @param {string} rootPath 模板根目录
+   */
+  constructor(rootPath) {
+    this.rootPath = path.resolve(rootPath);
+    this.manifest = {};
+    this.manifestFile = null;
+    this.ignore = ignore().add(DEFAULT_IGNORES);
+  }
+
+  /**
+   * 模板文件所在目录（存在 template 子目录时使用子目录）
+   * @returns {string} 模板文件目录
+   */
+  get sourcePath() {
+    const nestedTemplatePath = fileUtils.join(this.rootPath, 'template');
+    return fileUtils.exists(nestedTemplatePath) ? nestedTemplatePath : this.rootPath;
+  }
+
+  /**
+   * 局部模板目录，位于模板根目录下
+   * @returns {string} 局部模板目录
+   */
+  get partialsPath() {
+    return fileUtils.join(this.rootPath, 'partials');
+  }
+
+  /**
+   * 加载模板清单
+   * @returns {Promise<Object>} 模板清单
+   */
+  async load() {
+    const ignoreFile = fileUtils.join(this.rootPath, IGNORE_FILE);
+    if (fileUtils.exists(ignoreFile)) {
+      this.ignore.add(await fileUtils.readFile(ignoreFile));
+      logger.debug(`已加载模板忽略规则: ${ignoreFile}`);
+    }
+
+    const manifestFile = MANIFEST_FILES.map((file) => fileUtils.join(this.rootPath, file)).find((file) =>
+      fileUtils.exists(file)
+    );
+
+    if (!manifestFile) {
+      logger.debug('模板未提供清单文件，使用默认配置');
+      return this.manifest;
+    }
+
+    try {
+      if (fileUtils.getExt(manifestFile) === '.json') {
+        this.manifest = JSON.parse(await fileUtils.readFile(manifestFile));
+      } else {
+        const module = await import(pathToFileURL(manifestFile).href);
+        this.manifest = module.default || module;
+      }
+    } catch (error) {
+      const hint = /module is not defined/.test(error.message) ? '（CommonJS 清单请使用 terrafe.config.cjs）' : '';
+      throw errorHandler.createError(`模板清单加载失败: ${error.message}${hint}`, 'TEMPLATE_MANIFEST_ERROR', {
+        manifestFile,
+        originalError: error,
+      });
+    }
+
+    if (!this.manifest || typeof this.manifest !== 'object') {
+      throw errorHandler.createError('模板清单必须导出一个对象', 'TEMPLATE_MANIFEST_ERROR', { manifestFile });
+    }
+
+    this.manifestFile = manifestFile;
+    this.validatePrompts();
+    this.validateFileRules();
+    this.validateHooks();
+    this.validateHelpers();
+    this.validateDelimiters();
+    this.validatePackagePatch();
+    logger.debug(`模板清单加载成功: ${manifestFile}`);
+
+    return this.manifest;
+  }
+
+  /**
+   * 判断文件是否只用于生成过程（清单文件、忽略文件、局部模板目录），生成项目时不应复制
+   * @param {string} filePath 文件路径
+   * @returns {boolean} 是否为模板内部文件
+   */
+  isInternalFile(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    return (
+      this.isManifestFile(resolvedPath) ||
+      resolvedPath === this.partialsPath ||
+      resolvedPath === fileUtils.join(this.rootPath, IGNORE_FILE)
+    );
+  }
+
+  /**
+   * 判断文件是否被默认规则或 .terrafeignore 忽略
+   * @param {string} relativePath 相对于模板文件目录的路径
+   * @param {boolean} isDirectory 是否为目录
+   * @returns {boolean} 是否忽略
+   */
+  isIgnored(relativePath, isDirectory = false) {
+    const normalizedPath = relativePath.split(path.sep).join('/');
+    return this.ignore.ignores(isDirectory ? `${normalizedPath}/` : normalizedPath);
+  }
+
+  /**
+   * 判断文件是否为清单文件（生成项目时不应复制）
+   * @param {string} filePath 文件路径
+   * @returns {boolean} 是否为清单文件
+   */
+  isManifestFile(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    return path.dirname(resolvedPath) === this.rootPath && MANIFEST_FILES.includes(path.basename(resolvedPath));
+  }
+
+  /**
+   * 校验清单中声明的询问
+   */
+  validatePrompts() {
+    const prompts = this.manifest.prompts || [];
+
+    if (!Array.isArray(prompts)) {
+      throw errorHandler.createError('模板清单中的 prompts 必须是数组', 'TEMPLATE_MANIFEST_ERROR', {
+        manifestFile: this.manifestFile,
+      });
+    }
+
+    prompts.forEach((prompt, index) => {
+      if (!prompt || !prompt.name) {
+        throw errorHandler.createError(`模板询问 #${index + 1} 缺少 name 字段`, 'TEMPLATE_MANIFEST_ERROR', { prompt });
+      }
+
+      const type = prompt.type || 'input';
+      if (!PROMPT_TYPES.includes(type)) {
+        throw errorHandler.createError(`模板询问 "${prompt.name}" 的类型 "${type}" 不受支持`, 'TEMPLATE_MANIFEST_ERROR', {
+          prompt,
+          supportedTypes: PROMPT_TYPES,
+        });
+      }
+
+      if (RESERVED_NAMES.includes(prompt.name)) {
+        throw errorHandler.createError(`模板询问不能使用保留名称 "${prompt.name}"`, 'TEMPLATE_MANIFEST_ERROR', { prompt });
+      }
+    });
+  }
+
+  /**
+   * 校验清单中声明的文件规则
+   */
+  validateFileRules() {
+    const rules = this.manifest.files || [];
+
+    if (!Array.isArray(rules)) {
+      throw errorHandler.createError('模板清单中的 files 必须是数组', 'TEMPLATE_MANIFEST_ERROR', {
+        manifestFile: this.manifestFile,
+      });
+    }
+
+    rules.forEach((rule, index) => {
+      if (!rule || (!rule.include && !rule.exclude)) {
+        throw errorHandler.createError(`文件规则 #${index + 1} 需要 include 或 exclude 字段`, 'TEMPLATE_MANIFEST_ERROR', {
+          rule,
+        });
+      }
+    });
+
+    for (const key of ['binary', 'text', 'verbatim']) {
+      const patterns = this.manifest[key];
+      if (key === 'verbatim' && patterns === true) {
+        continue;
+      }
+      if (patterns !== undefined && ![].concat(patterns).every((pattern) => typeof pattern === 'string')) {
+        throw errorHandler.createError(`模板清单中的 ${key} 必须是 glob 字符串或数组`, 'TEMPLATE_MANIFEST_ERROR', {
+          manifestFile: this.manifestFile,
+        });
+      }
+    }
+  }
+
+  /**
+   * 校验清单中声明的模板助手
+   */
+  validateHelpers() {
+    const customHelpers = this.manifest.helpers;
+
+    if (customHelpers === undefined) {
+      return;
+    }
+
+    if (!customHelpers || typeof customHelpers !== 'object' || Array.isArray(customHelpers)) {
+      throw errorHandler.createError('模板清单中的 helpers 必须是对象', 'TEMPLATE_MANIFEST_ERROR', {
+        manifestFile: this.manifestFile,
+      });
+    }
+
+    for (const [name, helper] of Object.entries(customHelpers)) {
+      if (typeof helper !== 'function') {
+        throw errorHandler.createError(`模板助手 "${name}" 必须是函数`, 'TEMPLATE_MANIFEST_ERROR', {
+          manifestFile: this.manifestFile,
+        });
+      }
+    }
+  }
+
+  /**
+   * 校验清单中声明的定界符
+   */
+  validateDelimiters() {
+    const { delimiters } = this.manifest;
+
+    if (delimiters === undefined) {
+      return;
+    }
+
+    const valid =
+      Array.isArray(delimiters) &&
+      delimiters.length === 2 &&
+      delimiters.every((delimiter) => typeof delimiter === 'string' && delimiter.trim() !== '') &&
+      delimiters[0] !== delimiters[1];
+
+    if (!valid) {
+      throw errorHandler.createError(
+        '模板清单中的 delimiters 必须是两个不同的字符串，例如 ["<%=", "%>"]',
+        'TEMPLATE_MANIFEST_ERROR',
+        { manifestFile: this.manifestFile, delimiters }
+      );
+    }
+  }
+
+  /**
+   * 校验清单中声明的 package.json 补丁
+   */
+  validatePackagePatch() {
+    const patch = this.manifest.package;
+
+    if (patch === undefined || typeof patch === 'function') {
+      return;
+    }
+
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      throw errorHandler.createError('模板清单中的 package 必须是对象或函数', 'TEMPLATE_MANIFEST_ERROR', {
+        manifestFile: this.manifestFile,
+      });
+    }
+  }
+
+  /**
+   * 校验清单中声明的生命周期钩子
+   */
+  validateHooks() {
+    for (const name of HOOK_NAMES) {
+      if (this.manifest[name] !== undefined && typeof this.manifest[name] !== 'function') {
+        throw errorHandler.createError(`模板钩子 "${name}" 必须是函数`, 'TEMPLATE_MANIFEST_ERROR', {
+          manifestFile: this.manifestFile,
+        });
+      }
+    }
+  }
+
+  /**
+   * 执行生命周期钩子
+   * @param {string} name 钩子名称
+   * @param {Object} data 模板数据
+   * @param {Object} context 钩子上下文 (answers, targetDir, logger, files 等)
+   * @returns {Promise<boolean>} 是否执行了钩子
+   */
+  async runHook(name, data, context) {
+    const hook = this.manifest[name];
+    if (typeof hook !== 'function') {
+      return false;
+    }
+
+    logger.debug(`执行模板钩子: ${name}`);
+
+    try {
+      await hook(data, context);
+      return true;
+    } catch (error) {
+      throw errorHandler.createError(`模板钩子 "${name}" 执行失败: ${error.message}`, 'TEMPLATE_HOOK_ERROR', {
+        hook: name,
+        manifestFile: this.manifestFile,
+        originalError: error,
+      });
+    }
+  }
+
+  /**
+   * 根据清单中的 files 规则判断模板文件是否应复制到项目中
+   *   { include: 'src/store/**', when: { store: 'pinia' } }  → 条件成立时才包含匹配的文件
+   *   { exclude: 'tests/**', when: { testing: false } }      → 条件成立时排除匹配的文件（无 when 时始终排除）
+   * @param {string} relativePath 相对于模板文件目录的路径
+   * @param {Object} data 模板数据
+   * @param {boolean} isDirectory 是否为目录
+   * @returns {boolean} 是否复制
+   */
+  shouldInclude(relativePath, data, isDirectory = false) {
+    const matches = (patterns) => matchGlobs(relativePath, patterns, isDirectory);
+
+    for (const rule of this.manifest.files || []) {
+      const conditionMet = rule.when === undefined || createCondition(rule.when)(data);
+
+      if (rule.include && matches(rule.include) && !conditionMet) {
+        return false;
+      }
+
+      if (rule.exclude && matches(rule.exclude) && conditionMet) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * 获取清单中为文件强制指定的类型
+   *   text: ['**\/*.tpl']    → 始终作为文本处理变量
+   *   binary: ['**\/*.dat']  → 始终原样复制
+   * @param {string} relativePath 相对于项目根目录的路径
+   * @returns {string|null} 'text'、'binary'，未指定时返回 null
+   */
+  getForcedFileType(relativePath) {
+    if (this.manifest.binary && matchGlobs(relativePath, this.manifest.binary)) {
+      return 'binary';
+    }
+
+    if (this.manifest.text && matchGlobs(relativePath, this.manifest.text)) {
+      return 'text';
+    }
+
+    return null;
+  }
+
+  /**
+   * 判断文件是否应原样复制、不处理变量
+   * 清单中 verbatim 为 true 时原样复制 Vue/Svelte/Astro 文件，为 glob 时原样复制匹配的文件
+   * @param {string} relativePath 相对于项目根目录的路径
+   * @param {boolean} isDirectory 是否为目录
+   * @returns {boolean} 是否原样复制
+   */
+  isVerbatim(relativePath, isDirectory = false) {
+    const patterns = this.manifest.verbatim === true ? DEFAULT_VERBATIM : this.manifest.verbatim ?? [];
+    return matchGlobs(relativePath, [...RENDER_EXCLUDES, ...[].concat(patterns)], isDirectory);
+  }
+
+  /**
+   * 获取模板清单中声明的定界符
+   * @returns {Array<string>|null} 定界符，未配置时为 null
+   */
+  getDelimiters() {
+    return this.manifest.delimiters || null;
+  }
+
+  /**
+   * 获取需要合并到项目 package.json 的内容
+   *   package: { devDependencies: { eslint: '^9.0.0' }, scripts: { lint: 'eslint .' } }
+   *   package: (data) => ({ ... })  根据模板数据计算
+   * @param {Object} data 模板数据
+   * @returns {Promise<Object>} package.json 补丁
+   */
+  async getPackagePatch(data) {
+    const patch = this.manifest.package;
+    return (typeof patch === 'function' ? await patch(data) : patch) || {};
+  }
+
+  /**
+   * 获取模板清单中声明的助手
+   * @returns {Object<string, Function>} 助手名称到函数的映射
+   */
+  getHelpers() {
+    return this.manifest.helpers || {};
+  }
+
+  /**
+   * 获取转换为 inquirer 格式的询问列表
+   * @returns {Array} inquirer 询问列表
+   */
+  getPrompts() {
+    return (this.manifest.prompts || []).map((prompt) => normalizePrompt(prompt));
+  }
+
+  /**
+   * 获取答案需要保密的询问名称（password 类型或声明了 secret: true）
+   * @returns {Array<string>} 询问名称
+   */
+  getSecretNames() {
+    return (this.manifest.prompts || [])
+      .filter((prompt) => prompt.type === 'password' || prompt.secret === true)
+      .map((prompt) => prompt.name);
+  }
+
+  /**
+   * 执行模板自定义询问
+   * @param {Object} options 选项
+   * @param {boolean} options.interactive 是否允许交互式询问，否则使用默认值
+   * @param {Object} options.context 已知数据（如 projectName），供 when/default 函数使用
+   * @param {Object} options.answers 已有答案（如升级时沿用的答案），对应的询问不再执行
+   * @param {boolean} options.strict 非交互模式下必填询问没有答案或答案无效时报错，而不是使用默认值
+   * @returns {Promise<Object>} 询问结果
+   */
+  async prompt({ interactive = true, context = {}, answers = {}, strict = false } = {}) {
+    const prompts = this.getPrompts();
+
+    if (prompts.length === 0) {
+      return {};
+    }
+
+    if (interactive) {
+      logger.newLine();
+      logger.info('📝 模板配置:');
+      return pickAnswers(await inquirer.prompt(prompts, { ...context, ...answers }), prompts);
+    }
+
+    const resolved = await resolveDefaults(prompts, { ...context, ...answers });
+
+    if (strict) {
+      const invalid = await findInvalidAnswers(prompts, resolved);
+      if (invalid.length > 0) {
+        const list = invalid.map(({ name, message, reason }) => `  • ${name} (${message}): ${reason}`).join('\n');
+        throw errorHandler.createError(`以下模板询问没有有效的答案:\n${list}`, 'MISSING_ANSWERS', {
+          questions: invalid,
+        });
+      }
+    }
+
+    return pickAnswers(resolved, prompts);
+  }
+
+  /**
+   * 计算最终的模板数据
+   * @param {Object} data 基础模板数据（CLI 数据与询问结果）
+   * @returns {Promise<Object>} 模板数据
+   */
+  async resolveTemplateData(data) {
+    if (typeof this.manifest.templateData !== 'function') {
+      return data;
+    }
+
+    const extraData = await this.manifest.templateData(data);
+    return { ...data, ...extraData };
+  }
+}
+
+/**
+ * 判断路径是否匹配任一 glob
+ * @param {string} relativePath 相对路径
+ * @param {string|Array<string>} patterns glob 列表
+ * @param {boolean} isDirectory 是否为目录（目录同时以 "dir/" 形式匹配，使 "dir/**" 能排除整个目录）
+ * @returns {boolean} 是否匹配
+ */
+export function matchGlobs(relativePath, patterns, isDirectory = false) {
+  const normalizedPath = relativePath.split(path.sep).join('/');
+
+  return [].concat(patterns).some(
+    (pattern) =>
+      minimatch(normalizedPath, pattern, { dot: true }) ||
+      (isDirectory && minimatch(`${normalizedPath}/`, pattern, { dot: true }))
+  );
+}
+
+/**
+ * 将清单中的询问转换为 inquirer 询问
+ * terrafe.json 中无法书写函数，因此 when/validate 支持声明式写法：
+ *   when: "useRouter"               → answers.useRouter 为真时询问
+ *   when: { "store": "pinia" }      → 所有键值匹配时询问（值为数组时匹配任一项）
+ *   validate: { "pattern": "^https?://", "message": "请输入 URL" }
+ *   required: true                  → 不允许空值
+ *   secret: true                    → 答案不写入项目记录 (.terrafe.json)
+ * @param {Object} prompt 清单中的询问
+ * @returns {Object} inquirer 询问
+ */
+function normalizePrompt(prompt) {
+  const { required, secret, ...question } = prompt;
+  question.type = question.type || 'input';
+
+  if (question.when !== undefined && typeof question.when !== 'function') {
+    question.when = createCondition(question.when);
+  }
+
+  const validate = createValidator(question.validate, required);
+  if (validate) {
+    question.validate = validate;
+  } else {
+    delete question.validate;
+  }
+
+  return question;
+}
+
+/**
+ * 根据声明式条件创建判断函数
+ * @param {string|boolean|Object} condition 条件
+ * @returns {Function} 判断函数
+ */
+export function createCondition(condition) {
+  if (typeof condition === 'function') {
+    return condition;
+  }
+
+  if (typeof condition === 'boolean') {
+    return () => condition;
+  }
+
+  if (typeof condition === 'string') {
+    return (answers) => Boolean(answers[condition]);
+  }
+
+  if (condition && typeof condition === 'object') {
+    return (answers) =>
+      Object.entries(condition).every(([key, expected]) =>
+        Array.isArray(expected) ? expected.includes(answers[key]) : answers[key] === expected
+      );
+  }
+
+  return () => true;
+}
+
+/**
+ * 根据声明式规则创建校验函数
+ * @param {Function|Object} validate 校验规则
+ * @param {boolean} required 是否必填
+ * @returns {Function|null} 校验函数
+ */
+function createValidator(validate, required) {
+  if (!validate && !required) {
+    return null;
+  }
+
+  return async (input, answers) => {
+    if (required && isEmptyAnswer(input)) {
+      return '此项为必填项';
+    }
+
+    if (typeof validate === 'function') {
+      return await validate(input, answers);
+    }
+
+    if (validate && validate.pattern && !isEmptyAnswer(input)) {
+      if (!new RegExp(validate.pattern).test(String(input))) {
+        return validate.message || `输入不符合格式: ${validate.pattern}`;
+      }
+    }
+
+    return true;
+  };
+}
+
+/**
+ * 非交互模式下按默认值生成答案
+ * 与交互式询问一致，已知数据中已有值的询问（包括与 CLI 数据同名的询问）保留原值
+ * @param {Array} prompts inquirer 询问列表
+ * @param {Object} context 已知数据和已有答案
+ * @returns {Promise<Object>} 答案
+ */
+async function resolveDefaults(prompts, context) {
+  const answers = { ...context };
+
+  for (const prompt of prompts) {
+    if (context[prompt.name] !== undefined) {
+      continue;
+    }
+    if (typeof prompt.when === 'function' && !(await prompt.when(answers))) {
+      continue;
+    }
+
+    answers[prompt.name] = await getDefaultValue(prompt, answers);
+  }
+
+  return answers;
+}
+
+/**
+ * 找出答案未通过校验的询问（必填询问没有答案或答案不符合 validate）
+ * @param {Array} prompts inquirer 询问列表
+ * @param {Object} answers 答案
+ * @returns {Promise<Array<Object>>} { name, message, reason } 列表
+ */
+async function findInvalidAnswers(prompts, answers) {
+  const invalid = [];
+
+  for (const prompt of prompts) {
+    if (typeof prompt.validate !== 'function') {
+      continue;
+    }
+    if (typeof prompt.when === 'function' && !(await prompt.when(answers))) {
+      continue;
+    }
+
+    const result = await prompt.validate(answers[prompt.name], answers);
+    if (result !== true) {
+      invalid.push({
+        name: prompt.name,
+        message: typeof prompt.message === 'string' ? prompt.message : prompt.name,
+        reason: typeof result === 'string' ? result : '答案无效',
+      });
+    }
+  }
+
+  return invalid;
+}
+
+/**
+ * 获取询问的默认值
+ * @param {Object} prompt inquirer 询问
+ * @param {Object} answers 已有答案
+ * @returns {Promise<any>} 默认值
+ */
+async function getDefaultValue(prompt, answers) {
+  let value = typeof prompt.default === 'function' ? await prompt.default(answers) : prompt.default;
+  const choices = typeof prompt.choices === 'function' ? await prompt.choices(answers) : prompt.choices || [];
+  const choiceValue = (choice) => (choice && typeof choice === 'object' ? choice.value ?? choice.name : choice);
+
+  switch (prompt.type) {
+    case 'confirm':
+      return value === undefined ? false : Boolean(value);
+    case 'checkbox':
+      if (value === undefined) {
+        value = choices.filter((choice) => choice && choice.checked).map(choiceValue);
+      }
+      return Array.isArray(value) ? value : [value];
+    case 'list':
+    case 'rawlist':
+      if (typeof value === 'number' && choices[value] !== undefined) {
+        return choiceValue(choices[value]);
+      }
+      return value === undefined && choices.length > 0 ? choiceValue(choices[0]) : value;
+    default:
+      return value === undefined ? '' : value;
+  }
+}
+
+/**
+ * 只保留询问列表中声明过的答案
+ * @param {Object} answers 答案
+ * @param {Array} prompts 询问列表
+ * @returns {Object} 过滤后的答案
+ */
+function pickAnswers(answers, prompts) {
+  const result = {};
+  for (const prompt of prompts) {
+    if (prompt.name in answers) {
+      result[prompt.name] = answers[prompt.name];
+    }
+  }
+  return result;
+}
+
+/**
+ * 判断答案是否为空
+ * @param {any} value 答案
+ * @returns {boolean} 是否为空
+ */
+function isEmptyAnswer(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+export default Template;
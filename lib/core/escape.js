@@ -0,0 +1,255 @@
+import Handlebars from 'handlebars';
+import yaml from 'js-yaml';
+
+/**
+ * 渲染时标记待转义值位置的字符（二进制文件不会被渲染，文本内容中不会出现）
+ */
+export const MARKER = '\u0000';
+
+/**
+ * 文件扩展名对应的转义策略
+ *   html  HTML 实体转义
+ *   json  JSON 字符串中按 JSON 转义
+ *   js    JS/TS 字符串、模板字符串和注释中按上下文转义
+ *   yaml  引号中按引号类型转义，整个标量为变量时按需加引号
+ *   none  不转义（Markdown 及其他文件）
+ */
+const STRATEGIES = {
+  html: ['.html', '.htm', '.xml', '.svg'],
+  json: ['.json'],
+  js: ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx', '.jsonc', '.json5'],
+  yaml: ['.yml', '.yaml'],
+};
+
+/**
+ * 根据文件路径获取转义策略
+ * @param {string} filePath 文件路径（.hbs 后缀会被忽略）
+ * @returns {string} 转义策略
+ */
+export function getEscapeStrategy(filePath) {
+  const ext = filePath.replace(/\.hbs$/, '').match(/\.[^./\\]+$/);
+  const strategy = ext && Object.keys(STRATEGIES).find((name) => STRATEGIES[name].includes(ext[0].toLowerCase()));
+  return strategy || 'none';
+}
+
+/**
+ * 转义为 JSON / JS 双引号字符串的内容
+ * @param {string} value 值
+ * @returns {string} 转义结果（不含两侧引号）
+ */
+const escapeJsonString = (value) => JSON.stringify(value).slice(1, -1);
+
+/**
+ * 按代码上下文（JSON / JS）转义
+ * @param {string} value 值
+ * @param {string|null} state 所在上下文：引号字符、// 或 /*，代码中为 null
+ * @returns {string} 转义结果
+ */
+function escapeCode(value, state) {
+  switch (state) {
+    case '"':
+      return escapeJsonString(value);
+    case "'":
+      return escapeJsonString(value).replace(/'/g, "\\'");
+    case '`':
+      return value.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+    case '//':
+      return value.replace(/\r?\n/g, ' ');
+    case '/*':
+      return value.replace(/\*\//g, '*\\/');
+    default:
+      return value;
+  }
+}
+
+/**
+ * 按 YAML 上下文转义
+ * @param {string} value 值
+ * @param {string|null} state 所在上下文：引号字符、# 或 null
+ * @param {boolean} wholeScalar 变量是否构成整个标量
+ * @returns {string} 转义结果
+ */
+function escapeYaml(value, state, wholeScalar) {
+  switch (state) {
+    case '"':
+      return escapeJsonString(value);
+    case "'":
+      // 单引号标量中单个换行会被折叠为空格，空行才表示换行
+      return value.replace(/'/g, "''").replace(/\r?\n/g, '\n\n');
+    case '#':
+      return value.replace(/\r?\n/g, ' ');
+    default: {
+      if (!wholeScalar) {
+        return value;
+      }
+      // 需要时由 js-yaml 加引号，多行字符串使用双引号而不是块标量
+      const dumped = yaml.dump(value, { lineWidth: -1 }).trimEnd();
+      return /^[|>]/.test(dumped) ? JSON.stringify(value) : dumped;
+    }
+  }
+}
+
+/**
+ * 扫描 JSON / JS 输出，记录每个位置所在的字符串或注释
+ * @param {string} output 渲染结果
+ * @param {Function} replace (index, state) => 替换内容
+ * @returns {string} 替换后的结果
+ */
+function scanCode(output, replace) {
+  let state = null;
+  let result = '';
+
+  for (let i = 0; i < output.length; i++) {
+    const char = output[i];
+    const next = output[i + 1];
+
+    if (char === MARKER) {
+      const end = output.indexOf(MARKER, i + 1);
+      result += replace(Number(output.slice(i + 1, end)), state);
+      i = end;
+      continue;
+    }
+
+    result += char;
+
+    if (state === null) {
+      if (char === '/' && (next === '/' || next === '*')) {
+        state = `/${next}`;
+        result += next;
+        i++;
+      } else if (char === '"' || char === "'" || char === '`') {
+        state = char;
+      }
+    } else if (state === '//') {
+      if (char === '\n') {
+        state = null;
+      }
+    } else if (state === '/*') {
+      if (char === '*' && next === '/') {
+        state = null;
+        result += next;
+        i++;
+      }
+    } else if (char === '\\' && next !== undefined && next !== MARKER) {
+      result += next;
+      i++;
+    } else if (char === state || (char === '\n' && state !== '`')) {
+      state = null;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 扫描 YAML 输出，记录每个位置所在的引号或注释，以及是否位于标量开头
+ * @param {string} output 渲染结果
+ * @param {Function} replace (index, state, wholeScalar) => 替换内容
+ * @returns {string} 替换后的结果
+ */
+function scanYaml(output, replace) {
+  let state = null;
+  let result = '';
+  let lineStart = 0;
+  let flowDepth = 0;
+
+  // 标量开头：行首，或者位于 ": "、"- "、"? "、[、{、, 之后
+  const atScalarStart = () => {
+    const before = result.slice(lineStart).trimEnd();
+    return before === '' || /[:\-?[{,]$/.test(before);
+  };
+
+  for (let i = 0; i < output.length; i++) {
+    const char = output[i];
+
+    if (char === MARKER) {
+      const end = output.indexOf(MARKER, i + 1);
+      // 标量在行尾或注释前结束，在 [ ] / { } 中还可以在 , ] } 前结束
+      const rest = output.slice(end + 1).split('\n')[0];
+      const scalarEnd = flowDepth > 0 ? /^[ \t]*([,\]}#]|\r?$)/ : /^[ \t]*(#.*)?\r?$/;
+      const wholeScalar = state === null && atScalarStart() && scalarEnd.test(rest);
+      result += replace(Number(output.slice(i + 1, end)), state, wholeScalar);
+      i = end;
+      continue;
+    }
+
+    if (state === null) {
+      if ((char === '"' || char === "'") && atScalarStart()) {
+        state = char;
+      } else if (char === '#' && (i === 0 || /\s/.test(output[i - 1]))) {
+        state = '#';
+      } else if ((char === '[' || char === '{') && (flowDepth > 0 || atScalarStart())) {
+        flowDepth++;
+      } else if ((char === ']' || char === '}') && flowDepth > 0) {
+        flowDepth--;
+      }
+    } else if (state === '#') {
+      if (char === '\n') {
+        state = null;
+      }
+    } else if (state === '"' && char === '\\' && output[i + 1] !== undefined && output[i + 1] !== MARKER) {
+      result += char + output[i + 1];
+      i++;
+      continue;
+    } else if (state === "'" && char === "'" && output[i + 1] === "'") {
+      result += "''";
+      i++;
+      continue;
+    } else if (char === state) {
+      state = null;
+    }
+
+    result += char;
+    if (char === '\n') {
+      lineStart = result.length;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 创建渲染时使用的转义函数
+ * html 和 none 策略直接转义；其他策略先输出位置标记，渲染完成后由 finalize 按上下文替换
+ * @param {string} strategy 转义策略
+ * @returns {{escape: Function, finalize: Function}} 转义函数和后处理函数
+ */
+export function createEscaper(strategy) {
+  const values = [];
+
+  const escape = (value) => {
+    if (value && typeof value.toHTML === 'function') {
+      return value.toHTML();
+    }
+    if (value === undefined || value === null) {
+      return '';
+    }
+    if (strategy === 'html') {
+      return Handlebars.Utils.escapeExpression(value);
+    }
+    if (strategy === 'none') {
+      return String(value);
+    }
+
+    values.push(value);
+    return `${MARKER}${values.length - 1}${MARKER}`;
+  };
+
+  const finalize = (output) => {
+    if (values.length === 0) {
+      return output;
+    }
+
+    if (strategy === 'yaml') {
+      return scanYaml(output, (index, state, wholeScalar) => {
+        const value = values[index];
+        // 数字、布尔值等非字符串值保持 YAML 原有类型，不加引号
+        return escapeYaml(String(value), state, wholeScalar && typeof value === 'string');
+      });
+    }
+
+    return scanCode(output, (index, state) => escapeCode(String(values[index]), state));
+  };
+
+  return { escape, finalize };
+}
@@ -0,0 +1,138 @@
+import Handlebars from 'handlebars';
+import yaml from 'js-yaml';
+
+/**
+ * 将字符串拆分为单词
+ * 支持 camelCase、PascalCase、kebab-case、snake_case、空格以及 @scope/name 形式
+ * @param {*} value 原始值
+ * @returns {Array<string>} 单词列表
+ */
+export function splitWords(value) {
+  return String(value ?? '')
+    .replace(/([\p{Ll}\d])(\p{Lu})/gu, '$1 $2')
+    .replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, '$1 $2')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Handlebars 的真值判断（空数组视为假，与内置 #if 一致）
+ * @param {*} value 值
+ * @returns {boolean} 是否为真
+ */
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * 创建条件助手
+ * 既可以作为子表达式使用 {{#if (eq a b)}}，也可以作为块助手使用 {{#eq a b}}...{{else}}...{{/eq}}
+ * @param {Function} predicate 判断函数
+ * @returns {Function} Handlebars 助手
+ */
+function condition(predicate) {
+  return function (...args) {
+    const options = args.pop();
+    const result = predicate(...args);
+
+    if (options && typeof options.fn === 'function') {
+      return result ? options.fn(this) : options.inverse(this);
+    }
+
+    return result;
+  };
+}
+
+/**
+ * 创建参数可选的助手，去掉 Handlebars 追加的 options 参数
+ * @param {Function} fn 助手实现
+ * @returns {Function} Handlebars 助手
+ */
+function optional(fn) {
+  return (...args) => fn(...args.slice(0, -1));
+}
+
+/**
+ * 按模式格式化日期
+ * 支持 YYYY、MM、DD、HH、mm、ss
+ * @param {Date} date 日期
+ * @param {string} format 格式
+ * @returns {string} 格式化结果
+ */
+export function formatDate(date, format = 'YYYY-MM-DD') {
+  const pad = (value) => String(value).padStart(2, '0');
+  const tokens = {
+    YYYY: date.getFullYear(),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+  };
+
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+}
+
+/**
+ * 内置模板助手
+ */
+const helpers = {
+  // 大小写转换
+  camelCase: (value) =>
+    splitWords(value)
+      .map((word, index) => (index === 0 ? word.toLowerCase() : capitalize(word.toLowerCase())))
+      .join(''),
+  pascalCase: (value) =>
+    splitWords(value)
+      .map((word) => capitalize(word.toLowerCase()))
+      .join(''),
+  kebabCase: (value) =>
+    splitWords(value)
+      .map((word) => word.toLowerCase())
+      .join('-'),
+  snakeCase: (value) =>
+    splitWords(value)
+      .map((word) => word.toLowerCase())
+      .join('_'),
+  constantCase: (value) =>
+    splitWords(value)
+      .map((word) => word.toUpperCase())
+      .join('_'),
+  titleCase: (value) =>
+    splitWords(value)
+      .map((word) => capitalize(word.toLowerCase()))
+      .join(' '),
+  upperCase: (value) => String(value ?? '').toUpperCase(),
+  lowerCase: (value) => String(value ?? '').toLowerCase(),
+  capitalize: (value) => capitalize(String(value ?? '')),
+
+  // 比较与逻辑
+  eq: condition((a, b) => a === b),
+  ne: condition((a, b) => a !== b),
+  gt: condition((a, b) => a > b),
+  gte: condition((a, b) => a >= b),
+  lt: condition((a, b) => a < b),
+  lte: condition((a, b) => a <= b),
+  not: condition((value) => !isTruthy(value)),
+  and: condition((...values) => values.every(isTruthy)),
+  or: condition((...values) => values.some(isTruthy)),
+  ifAll: condition((...values) => values.every(isTruthy)),
+  ifAny: condition((...values) => values.some(isTruthy)),
+  includes: condition((collection, value) => Boolean(collection && collection.includes && collection.includes(value))),
+
+  // 序列化
+  json: optional((value, indent = 2) => {
+    return new Handlebars.SafeString(JSON.stringify(value ?? null, null, indent === 0 ? undefined : indent));
+  }),
+  yaml: optional((value) => new Handlebars.SafeString(yaml.dump(value).trimEnd())),
+
+  // {{{{raw}}}}...{{{{/raw}}}} 原样输出块内容
+  raw: (options) => options.fn(),
+
+  // 日期
+  year: optional(() => new Date().getFullYear()),
+  date: optional((format, value) => formatDate(value === undefined ? new Date() : new Date(value), format)),
+  now: optional(() => new Date().toISOString()),
+};
+
+export default helpers;
@@ -0,0 +1,24 @@
+/**
+ * 项目是否使用 husky
+ * @param {Object} data 模板数据
+ * @returns {boolean} 是否使用
+ */
+const hasHusky = (data) => Boolean(data.packageJson?.devDependencies?.husky || data.packageJson?.dependencies?.husky);
+
+export default {
+  name: 'commitlint',
+  description: 'commitlint 提交信息检查（Conventional Commits，配合 husky 的 commit-msg 钩子）',
+  package: {
+    devDependencies: {
+      '@commitlint/cli': '^19.0.0',
+      '@commitlint/config-conventional': '^19.0.0',
+    },
+  },
+  // 只有使用 husky 的项目才添加 commit-msg 钩子
+  files: [{ exclude: '.husky/**', when: (data) => !hasHusky(data) }],
+  complete(data, { logger }) {
+    if (!hasHusky(data)) {
+      logger.warn('项目未使用 husky，提交时不会自动检查，可以先添加 husky 再添加 commitlint');
+    }
+  },
+};
@@ -0,0 +1,15 @@
+export default {
+  name: 'docker',
+  description: 'Dockerfile（多阶段构建，Nginx 提供静态文件）',
+  prompts: [
+    {
+      name: 'outputDir',
+      type: 'input',
+      message: '构建输出目录:',
+      default: 'dist',
+    },
+  ],
+  complete(data, { nextSteps }) {
+    nextSteps.push(`docker build -t ${data.projectName.replace(/^@/, '').replace(/\//g, '-')} .`);
+  },
+};
@@ -0,0 +1,4 @@
+export default {
+  name: 'editorconfig',
+  description: 'EditorConfig 编辑器统一配置',
+};
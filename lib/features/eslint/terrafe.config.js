@@ -0,0 +1,19 @@
+export default {
+  name: 'eslint',
+  description: 'ESLint 代码检查（flat config，TypeScript 项目自动启用 typescript-eslint）',
+  package: (data) => ({
+    devDependencies: {
+      eslint: '^9.0.0',
+      '@eslint/js': '^9.0.0',
+      globals: '^15.0.0',
+      ...(data.typescript ? { 'typescript-eslint': '^8.0.0' } : {}),
+    },
+    scripts: {
+      lint: 'eslint .',
+      'lint:fix': 'eslint . --fix',
+    },
+  }),
+  complete(data, { nextSteps, packageManager }) {
+    nextSteps.push(`${packageManager} run lint`);
+  },
+};
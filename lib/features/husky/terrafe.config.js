@@ -0,0 +1,45 @@
+/**
+ * 根据项目中已有的 ESLint / Prettier 生成 lint-staged 配置
+ * @param {Object} packageJson 项目的 package.json
+ * @returns {Object|null} lint-staged 配置，没有可执行的检查时返回 null
+ */
+function getLintStagedConfig(packageJson = {}) {
+  const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  const config = {};
+
+  if (dependencies.eslint) {
+    config['*.{js,jsx,mjs,cjs,ts,tsx,vue,svelte}'] = 'eslint --fix';
+  }
+  if (dependencies.prettier) {
+    config['*'] = 'prettier --write --ignore-unknown';
+  }
+
+  return Object.keys(config).length > 0 ? config : null;
+}
+
+export default {
+  name: 'husky',
+  description: 'Husky Git 钩子 + lint-staged（提交前检查暂存的文件）',
+  package: (data) => {
+    const lintStaged = getLintStagedConfig(data.packageJson);
+    return {
+      devDependencies: {
+        husky: '^9.0.0',
+        'lint-staged': '^15.0.0',
+      },
+      scripts: {
+        prepare: 'husky',
+      },
+      ...(lintStaged ? { 'lint-staged': lintStaged } : {}),
+    };
+  },
+  complete(data, { files, logger, nextSteps, packageManager, skipInstall }) {
+    if (!getLintStagedConfig(data.packageJson)) {
+      logger.warn('未检测到 ESLint 或 Prettier，请在 package.json 的 lint-staged 字段中配置提交前执行的命令');
+    }
+    // 完整安装依赖时会执行 prepare 脚本启用钩子；只安装新增的依赖或没有 Git 仓库时需要手动执行
+    if (!skipInstall && !files.exists('.husky/_')) {
+      nextSteps.push(`${packageManager} run prepare`);
+    }
+  },
+};
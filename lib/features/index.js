@@ -0,0 +1,45 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import fileUtils from '../utils/file.js';
+import Template from '../core/Template.js';
+
+/**
+ * 内置功能模板目录，每个子目录是一个功能模板（清单 + template 子目录）
+ */
+export const FEATURES_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * 获取内置功能模板路径
+ * @param {string} name 功能名称
+ * @returns {string|null} 功能模板路径，不存在时返回 null
+ */
+export function getFeaturePath(name) {
+  if (!/^[a-z0-9-]+$/.test(name)) {
+    return null;
+  }
+
+  const featurePath = fileUtils.join(FEATURES_DIR, name);
+  return fileUtils.exists(fileUtils.join(featurePath, 'terrafe.config.js')) ? featurePath : null;
+}
+
+/**
+ * 列出所有内置功能
+ * @returns {Promise<Array<{name: string, description: string, path: string}>>} 功能列表
+ */
+export async function listFeatures() {
+  const entries = await fs.readdir(FEATURES_DIR, { withFileTypes: true });
+  const features = [];
+
+  for (const entry of entries.filter((item) => item.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const featurePath = getFeaturePath(entry.name);
+    if (!featurePath) {
+      continue;
+    }
+
+    const manifest = await new Template(featurePath).load();
+    features.push({ name: entry.name, description: manifest.description || '', path: featurePath });
+  }
+
+  return features;
+}
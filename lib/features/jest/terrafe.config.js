@@ -0,0 +1,16 @@
+export default {
+  name: 'jest',
+  description: 'Jest 单元测试（ES 模块，TypeScript 项目使用 ts-jest）',
+  package: (data) => ({
+    devDependencies: {
+      jest: '^29.7.0',
+      ...(data.typescript ? { 'ts-jest': '^29.2.0', '@types/jest': '^29.5.0' } : {}),
+    },
+    scripts: {
+      test: 'node --experimental-vm-modules node_modules/jest/bin/jest.js',
+    },
+  }),
+  complete(data, { nextSteps, packageManager }) {
+    nextSteps.push(`${packageManager} test`);
+  },
+};
@@ -0,0 +1,16 @@
+export default {
+  name: 'prettier',
+  description: 'Prettier 代码格式化',
+  package: {
+    devDependencies: {
+      prettier: '^3.0.0',
+    },
+    scripts: {
+      format: 'prettier --write .',
+      'format:check': 'prettier --check .',
+    },
+  },
+  complete(data, { nextSteps, packageManager }) {
+    nextSteps.push(`${packageManager} run format`);
+  },
+};
@@ -0,0 +1,44 @@
+const VITE_CONFIGS = ['vite.config.ts', 'vite.config.js', 'vite.config.mts', 'vite.config.mjs'];
+
+export default {
+  name: 'tailwind',
+  description: 'Tailwind CSS v4（Vite 插件）',
+  package: {
+    devDependencies: {
+      tailwindcss: '^4.0.0',
+      '@tailwindcss/vite': '^4.0.0',
+    },
+  },
+  // 在 Vite 配置中注册插件，无法自动修改时提示手动添加
+  async afterPackageJson(data, { files, logger }) {
+    const configFile = VITE_CONFIGS.find((file) => files.exists(file));
+    const manualSteps = [
+      "在 Vite 配置中添加 import tailwindcss from '@tailwindcss/vite'，并在 plugins 中加入 tailwindcss()",
+      '在入口文件中引入 src/tailwind.css',
+    ];
+
+    if (!configFile) {
+      logger.warn('未找到 Vite 配置文件，请手动完成以下步骤:');
+      manualSteps.forEach((step) => logger.info(`   ${step}`));
+      return;
+    }
+
+    const content = await files.read(configFile);
+    if (content.includes('@tailwindcss/vite')) {
+      return;
+    }
+    if (!/plugins:\s*\[/.test(content)) {
+      logger.warn(`无法自动修改 ${configFile}，请手动完成以下步骤:`);
+      manualSteps.forEach((step) => logger.info(`   ${step}`));
+      return;
+    }
+
+    const addPlugin = (match, empty) => (empty ? 'plugins: [tailwindcss()]' : `${match}tailwindcss(), `);
+    const patched = content
+      .replace(/^(import .*\n)(?!import )/m, "$1import tailwindcss from '@tailwindcss/vite';\n")
+      .replace(/plugins:\s*\[(\s*\])?/, addPlugin);
+    await files.write(configFile, patched);
+    logger.success(`已在 ${configFile} 中注册 Tailwind CSS 插件`);
+    logger.info('   请在入口文件中引入 src/tailwind.css');
+  },
+};
@@ -0,0 +1,16 @@
+export default {
+  name: 'vitest',
+  description: 'Vitest 单元测试',
+  package: {
+    devDependencies: {
+      vitest: '^2.0.0',
+    },
+    scripts: {
+      test: 'vitest',
+      'test:run': 'vitest run',
+    },
+  },
+  complete(data, { nextSteps, packageManager }) {
+    nextSteps.push(`${packageManager} run test:run`);
+  },
+};
@@ -0,0 +1,153 @@
+import chalk from 'chalk';
+import { createTwoFilesPatch, diffArrays } from 'diff';
+
+/**
+ * 将文本拆分为行（保留换行符）
+ * @param {string} text 文本
+ * @returns {Array<string>} 行列表
+ */
+const splitLines = (text) => (text === '' ? [] : text.split(/(?<=\n)/));
+
+/**
+ * 计算 base 中未修改的行在另一版本中的位置
+ * @param {Array<string>} base 基础版本的行
+ * @param {Array<string>} other 另一版本的行
+ * @returns {Map<number, number>} base 行号到另一版本行号的映射
+ */
+function matchLines(base, other) {
+  const matches = new Map();
+  let i = 0;
+  let j = 0;
+
+  for (const part of diffArrays(base, other)) {
+    if (part.added) {
+      j += part.count;
+    } else if (part.removed) {
+      i += part.count;
+    } else {
+      for (let k = 0; k < part.count; k++) {
+        matches.set(i + k, j + k);
+      }
+      i += part.count;
+      j += part.count;
+    }
+  }
+
+  return matches;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, index) => line === b[index]);
+
+/**
+ * 差异工具类
+ * 提供文本差异的生成和终端展示
+ */
+class DiffUtils {
+  /**
+   * 生成带颜色的统一格式差异
+   * @param {string} oldText 原文本
+   * @param {string} newText 新文本
+   * @param {Object} options 选项
+   * @param {string} options.oldLabel 原文本标签
+   * @param {string} options.newLabel 新文本标签
+   * @param {number} options.context 上下文行数
+   * @returns {Array<string>} 差异行（不含文件头）
+   */
+  format(oldText, newText, { oldLabel = 'old', newLabel = 'new', context = 3 } = {}) {
+    const lines = createTwoFilesPatch(oldLabel, newLabel, oldText, newText, '', '', { context }).split('\n');
+    const firstHunk = lines.findIndex((line) => line.startsWith('@@'));
+
+    if (firstHunk === -1) {
+      return [];
+    }
+
+    return lines
+      .slice(firstHunk)
+      .filter((line) => line !== '' && !line.startsWith('\\'))
+      .map((line) => {
+        if (line.startsWith('@@')) {
+          return chalk.cyan(line);
+        }
+        if (line.startsWith('+')) {
+          return chalk.green(line);
+        }
+        if (line.startsWith('-')) {
+          return chalk.red(line);
+        }
+        return chalk.gray(line);
+      });
+  }
+
+  /**
+   * 三方合并
+   * 以 base 为共同祖先，合并 ours 和 theirs 各自的修改；双方修改同一区域且结果不同时写入冲突标记
+   * @param {string} base 共同祖先
+   * @param {string} ours 当前版本（用户的文件）
+   * @param {string} theirs 新版本（新模板生成的文件）
+   * @param {Object} options 选项
+   * @param {string} options.oursLabel 当前版本标签
+   * @param {string} options.theirsLabel 新版本标签
+   * @returns {{content: string, conflicts: number}} 合并结果和冲突数量
+   */
+  merge3(base, ours, theirs, { oursLabel = 'ours', theirsLabel = 'theirs' } = {}) {
+    const baseLines = splitLines(base);
+    const oursLines = splitLines(ours);
+    const theirsLines = splitLines(theirs);
+    const oursMatches = matchLines(baseLines, oursLines);
+    const theirsMatches = matchLines(baseLines, theirsLines);
+    const output = [];
+    let conflicts = 0;
+    let b = 0;
+    let o = 0;
+    let t = 0;
+
+    const withNewline = (lines) =>
+      lines.length > 0 && !lines[lines.length - 1].endsWith('\n')
+        ? [...lines.slice(0, -1), `${lines[lines.length - 1]}\n`]
+        : lines;
+
+    while (b <= baseLines.length) {
+      // 下一个双方都未修改的行作为锚点，锚点之间的区域逐块合并
+      let anchor = b;
+      while (anchor < baseLines.length && !(oursMatches.has(anchor) && theirsMatches.has(anchor))) {
+        anchor++;
+      }
+      const end = anchor < baseLines.length;
+      const oursEnd = end ? oursMatches.get(anchor) : oursLines.length;
+      const theirsEnd = end ? theirsMatches.get(anchor) : theirsLines.length;
+
+      const baseChunk = baseLines.slice(b, anchor);
+      const oursChunk = oursLines.slice(o, oursEnd);
+      const theirsChunk = theirsLines.slice(t, theirsEnd);
+
+      if (sameLines(oursChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+        output.push(...theirsChunk);
+      } else if (sameLines(theirsChunk, baseChunk)) {
+        output.push(...oursChunk);
+      } else {
+        conflicts++;
+        output.push(
+          `<<<<<<< ${oursLabel}\n`,
+          ...withNewline(oursChunk),
+          '=======\n',
+          ...withNewline(theirsChunk),
+          `>>>>>>> ${theirsLabel}\n`
+        );
+      }
+
+      if (!end) {
+        break;
+      }
+
+      output.push(baseLines[anchor]);
+      b = anchor + 1;
+      o = oursEnd + 1;
+      t = theirsEnd + 1;
+    }
+
+    return { content: output.join(''), conflicts };
+  }
+}
+
+// 导出单例实例
+export default new DiffUtils();
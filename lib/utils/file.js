@@ -1,4 +1,6 @@
 import fs from 'fs-extra';
+import crypto from 'crypto';
+import { open } from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -36,18 +38,20 @@ class FileUtils {
    * 复制文件或目录
    * @param {string} src 源路径
    * @param {string} dest 目标路径
+   * @param {Object} options fs-extra 复制选项（如 filter）
    */
-  async copy(src, dest) {
-    await fs.copy(src, dest);
+  async copy(src, dest, options = {}) {
+    await fs.copy(src, dest, options);
   }
 
   /**
    * 移动文件或目录
    * @param {string} src 源路径
    * @param {string} dest 目标路径
+   * @param {Object} options fs-extra 移动选项（如 overwrite）
    */
-  async move(src, dest) {
-    await fs.move(src, dest);
+  async move(src, dest, options = {}) {
+    await fs.move(src, dest, options);
   }
 
   /**
@@ -78,6 +82,192 @@ class FileUtils {
     return await fs.readdir(dirPath);
   }
 
+  /**
+   * 根据内容判断数据是否为二进制
+   * 含空字节、不是合法的 UTF-8，或控制字符比例过高时视为二进制
+   * @param {Buffer} buffer 文件内容（通常取开头部分即可）
+   * @returns {boolean} 是否为二进制
+   */
+  isBinaryBuffer(buffer) {
+    if (buffer.length === 0) {
+      return false;
+    }
+
+    if (buffer.includes(0)) {
+      return true;
+    }
+
+    try {
+      // stream 模式下被截断的多字节字符不会被视为错误
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    } catch {
+      return true;
+    }
+
+    let controlChars = 0;
+    for (const byte of buffer) {
+      // 允许 \b \t \n \f \r 和 ESC
+      if (byte < 0x20 && ![0x08, 0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(byte)) {
+        controlChars++;
+      }
+    }
+
+    return controlChars / buffer.length > 0.1;
+  }
+
+  /**
+   * 根据内容判断文件是否为二进制文件
+   * @param {string} filePath 文件路径
+   * @param {number} sampleSize 检测的字节数
+   * @returns {Promise<boolean>} 是否为二进制文件
+   */
+  async isBinaryFile(filePath, sampleSize = 8000) {
+    const handle = await open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(sampleSize);
+      const { bytesRead } = await handle.read(buffer, 0, sampleSize, 0);
+      return this.isBinaryBuffer(buffer.subarray(0, bytesRead));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * 判断两个文件内容是否完全相同
+   * @param {string} fileA 文件路径
+   * @param {string} fileB 文件路径
+   * @returns {Promise<boolean>} 是否相同
+   */
+  async isSameContent(fileA, fileB) {
+    const [statsA, statsB] = await Promise.all([fs.stat(fileA), fs.stat(fileB)]);
+    if (!statsA.isFile() || !statsB.isFile() || statsA.size !== statsB.size) {
+      return false;
+    }
+
+    const [contentA, contentB] = await Promise.all([fs.readFile(fileA), fs.readFile(fileB)]);
+    return contentA.equals(contentB);
+  }
+
+  /**
+   * 递归列出目录中的所有文件
+   * @param {string} dirPath 目录路径
+   * @returns {Promise<Array<string>>} 相对路径列表（使用 / 分隔，按字母排序）
+   */
+  async listFiles(dirPath) {
+    const result = [];
+
+    const walk = async (currentDir) => {
+      const entries = await fs.readdir(currentDir, { withFileTypes: true });
+      for (const entry of entries) {
+        const entryPath = path.join(currentDir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else {
+          result.push(path.relative(dirPath, entryPath).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    await walk(dirPath);
+    return result.sort();
+  }
+
+  /**
+   * 计算目录内容的哈希
+   * 依次计入每个文件的相对路径和内容，与文件修改时间、权限无关
+   * @param {string} dirPath 目录路径
+   * @returns {Promise<string>} sha256 十六进制哈希
+   */
+  async hashDirectory(dirPath) {
+    const hash = crypto.createHash('sha256');
+
+    for (const file of await this.listFiles(dirPath)) {
+      hash.update(`${file}\0`);
+      hash.update(await fs.readFile(path.join(dirPath, file)));
+      hash.update('\0');
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * 计算目录中所有文件的总大小（递归）
+   * @param {string} dirPath 目录路径
+   * @returns {Promise<number>} 字节数
+   */
+  async getDirectorySize(dirPath) {
+    return (await this.getDirectoryStats(dirPath)).size;
+  }
+
+  /**
+   * 获取目录中所有文件的总大小和最新的修改时间（递归）
+   * 修改时间包括目录本身，文件被添加或删除时也会变化；用于不读取文件内容而判断目录是否可能被修改
+   * @param {string} dirPath 目录路径
+   * @returns {Promise<Object>} { size, mtimeMs }
+   */
+  async getDirectoryStats(dirPath) {
+    let size = 0;
+    let mtimeMs = 0;
+
+    const walk = async (currentDir) => {
+      mtimeMs = Math.max(mtimeMs, (await fs.lstat(currentDir)).mtimeMs);
+
+      const entries = await fs.readdir(currentDir, { withFileTypes: true });
+      for (const entry of entries) {
+        const entryPath = path.join(currentDir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else {
+          const stats = await fs.lstat(entryPath);
+          size += stats.size;
+          mtimeMs = Math.max(mtimeMs, stats.mtimeMs);
+        }
+      }
+    };
+
+    await walk(dirPath);
+    return { size, mtimeMs };
+  }
+
+  /**
+   * 格式化文件大小
+   * @param {number} bytes 字节数
+   * @returns {string} 可读的文件大小
+   */
+  formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unitIndex = 0;
+
+    while (size >= 1024 && unitIndex < units.length - 1) {
+      size /= 1024;
+      unitIndex++;
+    }
+
+    return unitIndex === 0 ? `${size} ${units[unitIndex]}` : `${size.toFixed(1)} ${units[unitIndex]}`;
+  }
+
+  /**
+   * 解析文件大小
+   * @param {number|string} value 字节数，或带单位的大小（如 "500MB"、"1.5 GB"）
+   * @returns {number|null} 字节数，无法解析时返回 null
+   */
+  parseSize(value) {
+    if (typeof value === 'number') {
+      return value >= 0 ? value : null;
+    }
+
+    const match = String(value)
+      .trim()
+      .match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+    if (!match) {
+      return null;
+    }
+
+    const units = ['B', 'KB', 'MB', 'GB'];
+    return Math.round(parseFloat(match[1]) * 1024 ** units.indexOf((match[2] || 'B').toUpperCase()));
+  }
+
   /**
    * 获取文件状态
    * @param {string} filePath 文件路径
@@ -115,6 +305,34 @@ class FileUtils {
     }
   }
 
+  /**
+   * 创建以指定目录为根的文件操作助手（供模板钩子使用）
+   * @param {string} rootDir 根目录
+   * @returns {Object} 文件操作助手，所有路径均相对于根目录
+   */
+  scoped(rootDir) {
+    const resolvePath = (relativePath = '.') => path.resolve(rootDir, relativePath);
+
+    return {
+      path: resolvePath,
+      exists: (relativePath) => this.exists(resolvePath(relativePath)),
+      read: (relativePath) => this.readFile(resolvePath(relativePath)),
+      write: async (relativePath, content) => {
+        await fs.outputFile(resolvePath(relativePath), content, 'utf8');
+      },
+      readJson: (relativePath) => fs.readJson(resolvePath(relativePath)),
+      writeJson: (relativePath, data) => fs.outputJson(resolvePath(relativePath), data, { spaces: 2 }),
+      updateJson: async (relativePath, updater) => {
+        const data = await fs.readJson(resolvePath(relativePath));
+        const result = await updater(data);
+        await fs.writeJson(resolvePath(relativePath), result === undefined ? data : result, { spaces: 2 });
+      },
+      copy: (src, dest) => this.copy(resolvePath(src), resolvePath(dest)),
+      move: (src, dest) => this.move(resolvePath(src), resolvePath(dest), { overwrite: true }),
+      remove: (relativePath) => this.remove(resolvePath(relativePath)),
+    };
+  }
+
   /**
    * 获取当前文件的目录路径
    * @param {string} importMetaUrl import.meta.url
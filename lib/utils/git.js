@@ -1,8 +1,16 @@
-import { execSync, spawn } from 'child_process';
+import { execSync, execFile, execFileSync, spawn } from 'child_process';
+import { promisify } from 'util';
 import fs from 'fs-extra';
 import path from 'path';
 import logger from './logger.js';
 
+const execFileAsync = promisify(execFile);
+
+/**
+ * 提交哈希的格式（缩写或完整的 SHA-1）
+ */
+const COMMIT_PATTERN = /^[0-9a-f]{7,40}$/;
+
 /**
  * Git操作工具类
  * 提供Git相关操作功能
@@ -186,6 +194,111 @@ class GitUtils {
     }
   }
 
+  /**
+   * 获取当前提交的哈希
+   * @param {string} dirPath 仓库路径（可以是仓库中的子目录）
+   * @returns {string|null} 提交哈希，不在Git仓库中或没有提交时返回null
+   */
+  getHeadCommit(dirPath) {
+    try {
+      return execSync('git rev-parse HEAD', {
+        cwd: dirPath,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+      }).trim();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 获取仓库根目录
+   * @param {string} dirPath 仓库中的任意目录
+   * @returns {string|null} 仓库根目录
+   */
+  getRepositoryRoot(dirPath) {
+    try {
+      return execSync('git rev-parse --show-toplevel', {
+        cwd: dirPath,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+      }).trim();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 检查是否为提交哈希
+   * @param {string} commit 提交哈希
+   * @returns {boolean} 是否有效
+   */
+  isCommitHash(commit) {
+    return typeof commit === 'string' && COMMIT_PATTERN.test(commit);
+  }
+
+  /**
+   * 将本地仓库指定提交的文件导出到目录（不影响原仓库的工作区和暂存区）
+   * 提交哈希来自项目记录（可由用户通过 --from 提供），不是提交哈希时拒绝执行
+   * @param {string} repoPath 仓库根目录
+   * @param {string} commit 提交哈希
+   * @param {string} targetDir 目标目录
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async exportCommit(repoPath, commit, targetDir) {
+    if (!this.isCommitHash(commit)) {
+      logger.warn(`无效的提交哈希: ${commit}`);
+      return false;
+    }
+
+    try {
+      execFileSync('git', ['clone', '--quiet', '--no-checkout', '--', repoPath, targetDir], { stdio: 'ignore' });
+      execFileSync('git', ['checkout', '--quiet', commit], { cwd: targetDir, stdio: 'ignore' });
+
+      logger.debug(`已导出提交 ${commit}: ${targetDir}`);
+      return true;
+    } catch (error) {
+      logger.debug(`导出提交失败: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 查询远程仓库中分支或标签当前指向的提交（git ls-remote），不需要克隆仓库
+   * 附注标签使用其指向的提交；不会提示输入凭据，私有仓库等无法访问时直接失败
+   * @param {string} url 远程仓库地址
+   * @param {string} ref 分支或标签名
+   * @param {Object} options 选项
+   * @param {number} options.timeout 超时时间（毫秒）
+   * @returns {Promise<string|null>} 提交哈希，引用不存在或查询失败时返回null
+   */
+  async getRemoteCommit(url, ref, { timeout = 10000 } = {}) {
+    if (!ref || ref.startsWith('-')) {
+      return null;
+    }
+
+    try {
+      const { stdout } = await execFileAsync('git', ['ls-remote', url, ref, `${ref}^{}`], {
+        timeout,
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+      });
+      const refs = new Map(
+        stdout
+          .split('\n')
+          .filter(Boolean)
+          .map((line) => line.split('\t').reverse())
+      );
+
+      const commit = [`refs/heads/${ref}`, `refs/tags/${ref}^{}`, `refs/tags/${ref}`]
+        .map((name) => refs.get(name))
+        .find(Boolean);
+      return commit && /^[0-9a-f]{40}$/.test(commit) ? commit : null;
+    } catch (error) {
+      logger.debug(`查询远程提交失败: ${url} ${ref} ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * 添加远程仓库
    * @param {string} dirPath 仓库路径
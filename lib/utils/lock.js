@@ -0,0 +1,240 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import logger from './logger.js';
+import errorHandler from '../core/ErrorHandler.js';
+
+/**
+ * 锁目录中记录持有者信息的文件
+ */
+const OWNER_FILE = 'owner.json';
+
+/**
+ * 默认等待锁的超时时间
+ */
+const DEFAULT_TIMEOUT = 60000; // 1分钟
+
+/**
+ * 默认的锁过期时间，持有者会定期更新锁目录的修改时间，超过此时间未更新的锁视为持有者已异常退出
+ */
+const DEFAULT_STALE = 30000; // 30秒
+
+/**
+ * 重试获取锁的间隔
+ */
+const RETRY_INTERVAL = 200;
+
+/**
+ * 文件锁工具类
+ * 使用 mkdir 的原子性实现跨进程互斥，用于多个 terrafe 进程同时写入缓存或配置文件
+ */
+class LockUtils {
+  /**
+   * 获取锁，锁被其他进程持有时等待
+   * 持有者进程已退出（同一主机）或超过 stale 未更新的锁视为过期，直接接管
+   * @param {string} lockPath 锁目录路径
+   * @param {Object} options 选项
+   * @param {number} options.timeout 等待超时时间（毫秒）
+   * @param {number} options.stale 锁过期时间（毫秒）
+   * @param {Function} options.onWait 开始等待时调用，参数为持有者信息
+   * @returns {Promise<Function>} 释放锁的函数
+   */
+  async acquire(lockPath, { timeout = DEFAULT_TIMEOUT, stale = DEFAULT_STALE, onWait } = {}) {
+    const startedAt = Date.now();
+    let waiting = false;
+
+    await fs.ensureDir(path.dirname(lockPath));
+
+    while (true) {
+      try {
+        await fs.mkdir(lockPath);
+        const owner = { pid: process.pid, hostname: os.hostname(), createdAt: Date.now() };
+        await fs.writeJson(path.join(lockPath, OWNER_FILE), owner);
+        logger.debug(`已获取锁: ${lockPath}`);
+        return this.createRelease(lockPath, owner, stale);
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const state = await this.readState(lockPath);
+      if (!state) {
+        // 锁已被释放，重新尝试获取
+        continue;
+      }
+
+      const { owner } = state;
+
+      if (this.isStale(state, stale)) {
+        await this.removeStaleLock(lockPath, state);
+        continue;
+      }
+
+      if (Date.now() - startedAt >= timeout) {
+        throw errorHandler.createError(`等待锁超时: ${lockPath}`, 'LOCK_TIMEOUT', { lockPath, owner });
+      }
+
+      if (!waiting) {
+        waiting = true;
+        logger.debug(`锁被进程 ${owner?.pid ?? '未知'} 持有，等待释放: ${lockPath}`);
+        onWait?.(owner);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, RETRY_INTERVAL));
+    }
+  }
+
+  /**
+   * 持有锁执行函数，执行结束（包括抛出错误）后释放锁
+   * @param {string} lockPath 锁目录路径
+   * @param {Function} fn 要执行的函数
+   * @param {Object} options 选项，同 acquire
+   * @returns {Promise<any>} 函数的返回值
+   */
+  async withLock(lockPath, fn, options = {}) {
+    const release = await this.acquire(lockPath, options);
+    try {
+      return await fn();
+    } finally {
+      await release();
+    }
+  }
+
+  /**
+   * 创建释放锁的函数，持有期间定期更新锁目录的修改时间，避免长时间的操作被其他进程当作过期的锁
+   * @param {string} lockPath 锁目录路径
+   * @param {Object} owner 本进程写入的持有者信息
+   * @param {number} stale 锁过期时间（毫秒）
+   * @returns {Function} 释放锁的函数
+   */
+  createRelease(lockPath, owner, stale) {
+    const timer = setInterval(() => {
+      const now = new Date();
+      fs.utimes(lockPath, now, now).catch(() => {});
+    }, stale / 2);
+    timer.unref();
+
+    let released = false;
+    return async () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      clearInterval(timer);
+
+      // 锁被当作过期的锁接管后，不能删除其他进程持有的锁
+      if (!this.isSameOwner(await this.readOwner(lockPath), owner)) {
+        logger.debug(`锁已被其他进程接管: ${lockPath}`);
+        return;
+      }
+
+      await fs.remove(lockPath);
+      logger.debug(`已释放锁: ${lockPath}`);
+    };
+  }
+
+  /**
+   * 移除过期的锁
+   * 先重命名为唯一的路径再删除：多个进程同时判断锁已过期时只有一个能重命名成功；
+   * 判断之后锁已被其他进程接管并重新获取时，重命名的是新的锁，放回原处
+   * @param {string} lockPath 锁目录路径
+   * @param {Object} state 判断为过期时锁的状态
+   */
+  async removeStaleLock(lockPath, state) {
+    const tombstone = `${lockPath}.stale-${process.pid}-${Date.now()}`;
+
+    try {
+      await fs.rename(lockPath, tombstone);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const renamed = await this.readState(tombstone);
+    if (renamed && (renamed.ino !== state.ino || !this.isSameOwner(renamed.owner, state.owner))) {
+      logger.debug(`锁已被其他进程重新获取: ${lockPath}`);
+      try {
+        await fs.rename(tombstone, lockPath);
+        return;
+      } catch {
+        // 原处已有新的锁，只能移除
+      }
+    } else {
+      logger.debug(`移除过期的锁: ${lockPath}`);
+    }
+
+    await fs.remove(tombstone);
+  }
+
+  /**
+   * 读取锁的状态
+   * @param {string} lockPath 锁目录路径
+   * @returns {Promise<Object|null>} { owner, ino, mtimeMs }，锁不存在时返回 null
+   */
+  async readState(lockPath) {
+    try {
+      const { ino, mtimeMs } = await fs.stat(lockPath);
+      return { owner: await this.readOwner(lockPath), ino, mtimeMs };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 读取锁的持有者信息
+   * @param {string} lockPath 锁目录路径
+   * @returns {Promise<Object|null>} 持有者信息，锁刚创建或已释放时返回 null
+   */
+  async readOwner(lockPath) {
+    try {
+      return await fs.readJson(path.join(lockPath, OWNER_FILE));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 判断两个持有者信息是否为同一次获取
+   * @param {Object|null} a 持有者信息
+   * @param {Object|null} b 持有者信息
+   * @returns {boolean} 是否相同
+   */
+  isSameOwner(a, b) {
+    return a?.pid === b?.pid && a?.hostname === b?.hostname && a?.createdAt === b?.createdAt;
+  }
+
+  /**
+   * 判断锁是否过期
+   * @param {Object} state 锁的状态
+   * @param {number} stale 锁过期时间（毫秒）
+   * @returns {boolean} 是否过期
+   */
+  isStale({ owner, mtimeMs }, stale) {
+    if (owner && owner.hostname === os.hostname() && !this.isProcessRunning(owner.pid)) {
+      return true;
+    }
+
+    return Date.now() - mtimeMs > stale;
+  }
+
+  /**
+   * 检查进程是否仍在运行（信号 0 只检查进程是否存在，不会发送信号）
+   * @param {number} pid 进程ID
+   * @returns {boolean} 是否在运行
+   */
+  isProcessRunning(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // 进程存在但属于其他用户
+      return error.code === 'EPERM';
+    }
+  }
+}
+
+// 导出单例实例
+export default new LockUtils();
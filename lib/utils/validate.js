@@ -185,6 +185,15 @@ class Validator {
 
     return false;
   }
+
+  /**
+   * 验证对象键路径，__proto__、constructor、prototype 会写入对象的原型，不允许使用
+   * @param {Array<string>} keys 键路径
+   * @returns {boolean} 是否为有效的键路径
+   */
+  validateKeyPath(keys) {
+    return keys.every((key) => !['__proto__', 'constructor', 'prototype'].includes(key));
+  }
 }
 
 // 导出单例实例